@@ -0,0 +1,2656 @@
+import express from "express";
+import cors from "cors";
+import crypto from "node:crypto";
+import multer from "multer";
+import { buildSearchKeywords, searchTerms, LOCATION_PREFIX } from "./search.js";
+import { buildCalendar } from "./calendar.js";
+import { parseRecurrence, expandRecurrence, addDays, daysBetween } from "./recurrence.js";
+import { buildSchedule, scheduleOnDate, isValidDateString } from "./datetime.js";
+import { createImageService, variantUrls, eventImageRefs, IMAGES, IMAGE_FOLDERS } from "./images.js";
+import { processImage, DEFAULT_IMAGE_LIMITS } from "./imageProcessing.js";
+import { serialize, serializeDoc, canView, eventView, registrationView, userView, commentView, ratingView } from "./serializers.js";
+import { hasRole, rolesOf, setRoleClaims } from "./roles.js";
+import { AUDIT_LOG, auditChanges, parseAuditFilters } from "./audit.js";
+import { rateLimit, createMemoryRateLimitStore, DEFAULT_RATE_LIMITS } from "./rateLimit.js";
+import { createNotifier, eventChanges } from "./notifications.js";
+import { sendReminders } from "./reminders.js";
+import { signTicket, verifyTicket, ticketQrPng } from "./tickets.js";
+import { CATEGORIES, slugify, normalizeTags, parseTagFilter, countFacets } from "./taxonomy.js";
+import { buildPlace, parseNearbyQuery, geohashRanges, distanceKm } from "./geo.js";
+import { createLiveUpdates, formatSse } from "./liveUpdates.js";
+import { RATINGS, ratingSummary, combineRatings } from "./ratings.js";
+import {
+  validate,
+  eventCreateSchema,
+  eventUpdateSchema,
+  userRegisterSchema,
+  userUpdateSchema,
+  userEnsureSchema,
+  adminUserUpdateSchema,
+  checkinSchema,
+  categoryCreateSchema,
+  categoryUpdateSchema,
+  commentCreateSchema,
+  commentUpdateSchema,
+  commentReportSchema,
+  commentModerationSchema,
+  ratingCreateSchema,
+} from "./schema.js";
+
+const USERS = "users";
+const EVENTS = "events";
+const REGISTRATIONS = "registrations";
+// Személyes naptár feed tokenek: calendar_feeds/{token} -> { uid }
+const CALENDAR_FEEDS = "calendar_feeds";
+// Hozzászólások: comments/{id} -> { eventId, parentId, uid, authorName, text, status, reportCount,
+// flagged, createdAt, editedAt }; bejelentések: comment_reports/{commentId}_{uid} -> { commentId, uid, reason }
+const COMMENTS = "comments";
+const COMMENT_REPORTS = "comment_reports";
+
+// Regisztráció státuszai (a státusz nélküli régi dokumentumok "confirmed"-nek számítanak)
+const CONFIRMED = "confirmed";
+const WAITLISTED = "waitlisted";
+
+// Alapértelmezett időzóna: ha az esemény nem ad meg sajátot, és az "upcoming" szűrő mai napjához
+const TIME_ZONE = process.env.EVENTS_TIME_ZONE || "Europe/Budapest";
+// GET /events rendezési lehetőségei és az alapértelmezett irányuk
+const EVENT_SORTS = { createdAt: "desc", date: "asc" };
+// Szöveges szűrésnél ennyi dokumentumot olvasunk egyszerre / legfeljebb ennyiszer
+const SCAN_BATCH = 100;
+const MAX_SCAN_ROUNDS = 10;
+
+// Ezek az útvonalak maguk olvassák a body-t (readImageBody), a képméret-korláttal
+const IMAGE_UPLOAD_PATHS = ["/api/uploadImage", "/api/uploadProfile"];
+
+// Proxy mögött (Vercel, nginx) a kliens IP-címe az X-Forwarded-For fejlécből: TRUST_PROXY = true |
+// a megbízható proxyk száma | Express "trust proxy" érték (pl. "loopback"). A rate limit IP-alapú:
+// enélkül minden kliens a proxy címén osztozna. Vercelen (VERCEL env) alapból 1, mert ott a
+// platform írja az X-Forwarded-For fejlécet a valódi kliens címével.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY, process.env.VERCEL);
+
+function parseTrustProxy(value, onVercel) {
+  if (value === undefined || value === "") return onVercel ? 1 : undefined;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// A lomtárban (soft delete) ennyi nap után véglegesen törölhetők az elemek (POST /admin/trash/purge)
+const DEFAULT_TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_TYPES = ["events", "users"];
+
+// Az /internal/cron/* végpontok titka: Authorization: Bearer <CRON_SECRET> (a Vercel cron ezt küldi)
+const CRON_SECRET = process.env.CRON_SECRET || null;
+// A belépőjegyek aláíró kulcsa (tickets.js); nélküle nincs jegy és beléptetés
+const TICKET_SECRET = process.env.TICKET_SECRET || null;
+
+function isNonEmptyString(x) {
+  return typeof x === "string" && x.trim().length > 0;
+}
+
+// yyyy.mm.dd és létező naptári nap
+function isValidDate(date) {
+  return date !== undefined && date !== null && isValidDateString(date);
+}
+
+// Szerkesztés / törlés hatóköre ismétlődő eseménynél: csak ez az alkalom, vagy ez és az összes későbbi
+const EDIT_SCOPES = ["this", "future"];
+
+// 400-as válasz mezőszintű hibalistával; az "error" mező az első hiba (a régi kliensek ezt olvassák)
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors[0].message, errors });
+}
+
+// A body ellenőrzése a schema.js sémája alapján; siker esetén req.body a normalizált érték
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {});
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+    req.body = value;
+    return next();
+  };
+}
+
+// Az esemény szerkeszthető mezői a validált body-ból és az időpontból (POST / PUT / admin PUT közös).
+// imageKeys: a hivatkozott képek kulcsai (eventImageRefs), ez alapján tudjuk, használja-e még
+// másik esemény a képet
+function buildEventFields(body, schedule) {
+  const images = body.images || [];
+  const imageFields = {
+    imageUrl: body.imageUrl || images[0]?.url || null,
+    imageDeleteUrl: body.imageDeleteUrl || images[0]?.delete_url || null,
+    images,
+  };
+  // A szöveges helyszín hiányában a térképes helyszín címe (a régi kliensek a location-t olvassák)
+  const { place, geohash } = buildPlace(body.place);
+  const location = body.location ?? place?.address ?? null;
+  return {
+    title: body.title,
+    location,
+    description: body.description ?? null,
+    searchKeywords: buildSearchKeywords({ ...body, location }),
+    ...imageFields,
+    imageKeys: eventImageRefs(imageFields).map((ref) => ref.key),
+    ...schedule,
+    capacity: body.capacity ?? null,
+    category: body.category ?? null,
+    tags: normalizeTags(body.tags),
+    place,
+    geohash,
+  };
+}
+
+// PUT: a body-ból kimaradt capacity, category, tags, place és képek (images / imageUrl) nem
+// változnak (a szerkesztő felületek nem mindig küldik őket), csak a kifejezett null / üres érték
+// törli. Különben egy címmódosítás megszüntetné a létszámkorlátot (és a teljes várólista bekerülne),
+// illetve a képeket a tárhelyről is törölné.
+function keepUnsentFields(fields, body) {
+  const kept = { ...fields };
+  for (const field of ["capacity", "category", "tags"]) {
+    if (body[field] === undefined) delete kept[field];
+  }
+  if (body.place === undefined) {
+    delete kept.place;
+    delete kept.geohash;
+  }
+  if (body.images === undefined && body.imageUrl === undefined) {
+    for (const field of ["images", "imageUrl", "imageDeleteUrl", "imageKeys"]) delete kept[field];
+  }
+  return kept;
+}
+
+// A docs eseményeinek azon képei, amelyek a módosítás után már nincsenek a fields-ben (ha a
+// módosítás nem érinti a képeket, egyik sem)
+function replacedImageRefs(docs, fields) {
+  if (!fields.imageKeys) return [];
+  const kept = new Set(fields.imageKeys);
+  return docs.flatMap((doc) => eventImageRefs(doc.data())).filter((ref) => !kept.has(ref.key));
+}
+
+function isWaitlisted(regDoc) {
+  return regDoc.data().status === WAITLISTED;
+}
+
+function byRegisteredAt(a, b) {
+  const aTime = a.data().registeredAt?.toMillis?.() ?? 0;
+  const bTime = b.data().registeredAt?.toMillis?.() ?? 0;
+  return aTime - bTime;
+}
+
+function byCreatedAt(a, b) {
+  return (a.data().createdAt?.toMillis?.() ?? 0) - (b.data().createdAt?.toMillis?.() ?? 0);
+}
+
+// Firestore Timestamp -> ISO 8601 string (a JSON-ban különben { _seconds, _nanoseconds } lenne)
+function toIso(value) {
+  return value?.toDate ? value.toDate().toISOString() : value ?? null;
+}
+
+// Soft delete: a törölt esemény / user dokumentuma deletedAt, deletedBy (és a userrel együtt
+// törölt eseményeknél deletedWithUser) mezőt kap. A listák és a részletes nézetek nem mutatják,
+// a jelentkezések megmaradnak; visszaállításkor a mezőket töröljük, így a nem törölt
+// dokumentumokban nincs deletedAt mező.
+function isDeleted(doc) {
+  return Boolean(doc.data()?.deletedAt);
+}
+
+function isLive(doc) {
+  return doc.exists && !isDeleted(doc);
+}
+
+// Az esemény a kliensnek, az audience számára látható mezőkkel (serializers.js eventView)
+function eventFromDoc(doc, audience = "public") {
+  return serializeDoc(eventView, doc, audience);
+}
+
+// Az esemény kezdete (Date), vagy null, ha nincs dátuma. A startsAt mező előtti eseményeknél a
+// date / time mezőkből számoljuk.
+function eventStart(event) {
+  if (event.startsAt?.toDate) return event.startsAt.toDate();
+  if (!event.date) return null;
+  const { schedule } = buildSchedule({ date: event.date, time: event.time }, event.timeZone || TIME_ZONE);
+  return schedule?.startsAt ?? null;
+}
+
+// Mai dátum yyyy.mm.dd formában a TIME_ZONE szerint
+function todayDate() {
+  const parts = new Intl.DateTimeFormat("en-CA", { timeZone: TIME_ZONE, year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(new Date());
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}.${part("month")}.${part("day")}`;
+}
+
+// GET /events query paraméterei: from, to (yyyy.mm.dd), location, owner, upcoming, q, category,
+// tag (több is, vesszővel vagy ismételve: mindegyiknek szerepelnie kell), sort, order
+function parseEventFilters(query) {
+  const { from, to, location, owner, upcoming, q, category, tag, sort = "createdAt", order } = query;
+  if (from !== undefined && !isValidDate(from)) return { error: "from format must be yyyy.mm.dd" };
+  if (to !== undefined && !isValidDate(to)) return { error: "to format must be yyyy.mm.dd" };
+  if (!Object.hasOwn(EVENT_SORTS, sort)) return { error: `sort must be one of: ${Object.keys(EVENT_SORTS).join(", ")}` };
+  if (order !== undefined && order !== "asc" && order !== "desc") return { error: "order must be asc or desc" };
+
+  const isUpcoming = upcoming === "true" || upcoming === "1";
+  const today = isUpcoming ? todayDate() : null;
+  return {
+    from: today && (!from || from < today) ? today : from,
+    to,
+    owner: isNonEmptyString(owner) ? owner.trim() : null,
+    category: isNonEmptyString(category) ? category.trim() : null,
+    tags: parseTagFilter(tag),
+    terms: [...searchTerms(q), ...searchTerms(location, LOCATION_PREFIX)],
+    sort,
+    order: order || EVENT_SORTS[sort],
+  };
+}
+
+// ---- Lapozás ----
+// A kurzor átlátszatlan a kliens számára: az előző oldal utolsó dokumentumának azonosítója
+// base64url-ben. A szerver ebből a dokumentum snapshotjával hívja a startAfter()-t.
+
+function parseLimit(query) {
+  const limit = parseInt(query.limit || "50", 10);
+  return Number.isNaN(limit) || limit < 1 ? 50 : Math.min(limit, 200);
+}
+
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify({ id: doc.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return isNonEmptyString(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+// Egy oldal a lekérdezésből: { docs, nextCursor }. Utólagos szűrésnél (matches) több körben
+// olvas; ha MAX_SCAN_ROUNDS alatt nem telik meg az oldal, a kurzor az utolsó átnézett dokumentum.
+async function fetchPage(query, { limit, startAfter = null, matches = null }) {
+  const from = (position) => (position ? query.startAfter(position) : query);
+
+  if (!matches) {
+    const snap = await from(startAfter).limit(limit + 1).get();
+    const docs = snap.docs.slice(0, limit);
+    return { docs, nextCursor: snap.size > limit ? encodeCursor(docs[docs.length - 1]) : null };
+  }
+
+  const docs = [];
+  let position = startAfter;
+  for (let round = 0; round < MAX_SCAN_ROUNDS; round++) {
+    const snap = await from(position).limit(SCAN_BATCH).get();
+    for (const doc of snap.docs) {
+      if (docs.length === limit) return { docs, nextCursor: encodeCursor(position) };
+      position = doc;
+      if (matches(doc)) docs.push(doc);
+    }
+    if (snap.size < SCAN_BATCH) return { docs, nextCursor: null };
+  }
+  return { docs, nextCursor: position ? encodeCursor(position) : null };
+}
+
+// A feltöltött kép bájtjai: multipart fájl, vagy base64 data URL a JSON body image mezőjében.
+// A megadott típus nem számít, a processImage() a tartalomból állapítja meg.
+const DATA_URL_REGEX = /^data:[\w/+.-]*;base64,(.+)$/s;
+
+function imageBufferFromRequest(req) {
+  if (req.file) return req.file.buffer;
+  const match = typeof req.body?.image === "string" ? DATA_URL_REGEX.exec(req.body.image) : null;
+  return match ? Buffer.from(match[1], "base64") : null;
+}
+
+function sendCalendar(res, ics, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="${filename}"`);
+  res.status(200).send(ics);
+}
+
+function calendarFeedUrl(req, token) {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/calendar/${token}.ics`;
+}
+
+// Az Express app a megadott adat-réteggel és auth-tal.
+// storage: { db, FieldValue, FieldPath, Timestamp } – firestoreStorage.js vagy memoryStorage.js
+// auth: a Firebase Auth (admin.auth()) vagy memoryAuth.js; használt metódusok:
+//   verifyIdToken(token) -> { uid, email, name, ... }, createUser, updateUser, deleteUser
+// imageProviders: név -> képtároló adapter (images.js), imageProvider: az új feltöltések adaptere
+// imageLimits: { maxBytes, minDimension, maxDimension } (imageProcessing.js)
+// mailTransport: e-mail küldő (notifications.js), nélküle nem megy ki értesítés; mailFrom: feladó
+// sendQueuedMail: a kérés által az outboxba tett levelek kiküldése rögtön a háttérben (a válasz
+//   megvárása nélkül); a bennmaradtakat a /internal/cron/notifications küldi ki
+// cronSecret: az /internal/cron/* végpontok Bearer tokene; nélküle ezek nem hívhatók
+// ticketSecret: a belépőjegyek aláíró kulcsa
+// liveUpdates: az SSE üzenetek csatornája (liveUpdates.js); streamHeartbeatMs: a keepalive gyakorisága
+// trustProxy: az Express "trust proxy" beállítása (alapból a TRUST_PROXY / VERCEL env alapján)
+export function createApp({
+  storage,
+  auth,
+  imageProviders = {},
+  imageProvider = null,
+  imageLimits = DEFAULT_IMAGE_LIMITS,
+  trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS,
+  rateLimitStore = createMemoryRateLimitStore(),
+  rateLimits = {},
+  trustProxy = TRUST_PROXY,
+  mailTransport = null,
+  mailFrom,
+  sendQueuedMail = true,
+  cronSecret = CRON_SECRET,
+  ticketSecret = TICKET_SECRET,
+  liveUpdates = createLiveUpdates(),
+  streamHeartbeatMs = 25 * 1000,
+}) {
+  const { db, FieldValue, FieldPath } = storage;
+  const images = createImageService({ db, FieldValue, providers: imageProviders, uploadProvider: imageProvider });
+  const notifier = createNotifier({ db, FieldValue, transport: mailTransport, from: mailFrom });
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: imageLimits.maxBytes, files: 1 } });
+  // base64-ben a kép ~4/3-szor nagyobb
+  const imageJsonBody = express.json({ limit: Math.ceil((imageLimits.maxBytes * 4) / 3) + 1024 });
+  const jsonBody = express.json({ limit: "1mb" });
+
+  const app = express();
+  if (trustProxy !== undefined) app.set("trust proxy", trustProxy);
+  app.use((req, res, next) => (IMAGE_UPLOAD_PATHS.includes(req.path) ? next() : jsonBody(req, res, next)));
+  app.use(cors({
+    origin: [
+      "http://localhost:3000",
+      "http://localhost:5173",
+      "https://events4everyone.netlify.app" 
+    ],
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+    credentials: true
+  }));
+
+  // Útvonalankénti kérésszám-korlát (rateLimit.js): by = "ip" (a hitelesítés előtt) vagy "uid" (utána)
+  function limitBy(route, by) {
+    const limits = rateLimits[route] === false ? {} : { ...DEFAULT_RATE_LIMITS[route], ...rateLimits[route] };
+    if (!limits[by]) return (req, res, next) => next();
+    return rateLimit({ store: rateLimitStore, name: route, by, ...limits[by] });
+  }
+
+  Object.values(imageProviders).forEach(({ mount }) => {
+    if (mount) app.use(mount.path, express.static(mount.dir));
+  });
+
+  // Egy ismétlődő sorozat adott alkalma és az utána következők (ugyanazon seriesId, nem korábbi dátum)
+  async function futureOccurrences(eventDoc) {
+    const { seriesId, date } = eventDoc.data();
+    let query = db.collection(EVENTS).where("seriesId", "==", seriesId);
+    if (date) query = query.where("date", ">=", date);
+    const snap = await query.get();
+    return snap.docs.filter((doc) => !isDeleted(doc));
+  }
+
+  // Az esemény images bejegyzései közül az id-vel megadottaknál az url-t és a méretváltozatokat
+  // a feltöltött kép rekordjából vesszük (validateBody után fut). Csak a szervező saját, eseményképnek
+  // (purpose: "event") feltöltött képe adható meg; ownerOf(req): a szervező uid-ja (alapból a
+  // bejelentkezett user), null esetén nincs ilyen esemény, és a kezelő adja a 404-et.
+  function resolveEventImages(ownerOf = (req) => req.user.uid) {
+    return async (req, res, next) => {
+      try {
+        if (!req.body.images) return next();
+        const ownerUid = await ownerOf(req);
+        if (!ownerUid) return next();
+
+        const errors = [];
+        const resolved = await Promise.all(
+          req.body.images.map(async (entry, i) => {
+            if (!entry.id) return entry;
+            const image = await images.get(entry.id);
+            if (!image) {
+              errors.push({ field: `images[${i}].id`, message: `images[${i}].id is not an uploaded image` });
+            } else if (image.ownerUid !== ownerUid || image.purpose !== "event") {
+              errors.push({ field: `images[${i}].id`, message: `images[${i}].id is not an event image uploaded by the organizer` });
+            }
+            return image && { id: image.id, url: image.url, variants: variantUrls(image.variants) };
+          })
+        );
+        if (errors.length > 0) return sendValidationErrors(res, errors);
+        req.body.images = resolved;
+        return next();
+      } catch (e) {
+        return res.status(500).json({ error: e.message });
+      }
+    };
+  }
+
+  // Admin szerkesztésnél az esemény szervezőjének képei adhatók meg
+  async function eventOwnerOf(req) {
+    const doc = await db.collection(EVENTS).doc(req.params.id).get();
+    return doc.exists ? doc.data().ownerUid : null;
+  }
+
+  // Az esemény kategóriájának a kezelt listában kell lennie (validateBody után fut)
+  async function checkEventCategory(req, res, next) {
+    try {
+      if (!req.body.category) return next();
+      const categoryDoc = await db.collection(CATEGORIES).doc(req.body.category).get();
+      if (!categoryDoc.exists) return sendValidationErrors(res, [{ field: "category", message: "category is not a known category" }]);
+      return next();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
+  // A kategóriák a megjelenítési sorrendben (order, azon belül név szerint)
+  async function listCategories() {
+    const snap = await db.collection(CATEGORIES).get();
+    return snap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data(), createdAt: toIso(doc.data().createdAt), updatedAt: toIso(doc.data().updatedAt) }))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name, "hu"));
+  }
+
+  // A már nem használt képek törlése a tárhelyről (az esemény végleges törlése / módosítása UTÁN
+  // hívandó). Csak azt törli, amelyre egyik megmaradt (a lomtárban lévőket is beleértve) esemény sem
+  // hivatkozik: egy sorozat alkalmai ugyanazokat a képeket használják. Hiba esetén csak naplóz – a
+  // kérés ettől nem hiúsul meg, az árván maradt képet a POST /admin/images/reconcile takarítja el.
+  // ownerUid: lásd images.discard().
+  async function discardImages(refs, ownerUid) {
+    const seen = new Set();
+    for (const ref of refs) {
+      if (seen.has(ref.key)) continue;
+      seen.add(ref.key);
+      try {
+        const usedBy = await db.collection(EVENTS).where("imageKeys", "array-contains", ref.key).limit(1).get();
+        if (usedBy.empty) await images.discard(ref, { ownerUid });
+      } catch (e) {
+        console.warn("Image cleanup warning:", e.message);
+      }
+    }
+  }
+
+  // Profilkép törlése a tárhelyről (best-effort, mint a discardImages). A photoURL tetszőleges URL
+  // lehet, ezért csak akkor törlünk, ha más user profilképe és egyik esemény sem hivatkozik rá
+  // (a user dokumentumának módosítása / törlése UTÁN hívandó).
+  async function discardPhoto(photoURL, ownerUid) {
+    if (!photoURL) return;
+    try {
+      const [usersSnap, eventsSnap] = await Promise.all([
+        db.collection(USERS).where("photoURL", "==", photoURL).limit(1).get(),
+        db.collection(EVENTS).where("imageKeys", "array-contains", photoURL).limit(1).get(),
+      ]);
+      if (!usersSnap.empty || !eventsSnap.empty) return;
+      await images.discard({ url: photoURL }, { ownerUid });
+    } catch (e) {
+      console.warn("Image cleanup warning:", e.message);
+    }
+  }
+
+  // Az outbox kiküldése a háttérben (nem várjuk meg). Egyszerre egy futás megy; ha közben új
+  // levél kerül a sorba, utána még egyszer lefut. Serverless környezetben a háttérmunka a válasz
+  // után megszakadhat, ezért a cron is üríti a sort.
+  let draining = null;
+  let drainAgain = false;
+  function drainOutboxSoon() {
+    if (!sendQueuedMail || !mailTransport) return;
+    drainAgain = true;
+    draining ??= (async () => {
+      try {
+        while (drainAgain) {
+          drainAgain = false;
+          await notifier.drainOutbox();
+        }
+      } catch (e) {
+        console.warn("Notification outbox warning:", e.message);
+      } finally {
+        draining = null;
+      }
+    })();
+  }
+
+  // Értesítés a jelentkezőknek az esemény módosulásáról (dátum, idő, helyszín) vagy elmaradásáról
+  // (after = null). A művelet UTÁN hívandó; a levelek az outboxon át, best-effort mennek, hiba
+  // esetén csak naplóz.
+  async function notifyRegistrants(eventId, before, after = null) {
+    try {
+      if (!after) {
+        await notifier.enqueueRegistrants(eventId, "eventCancelled", { event: before });
+      } else {
+        const changes = eventChanges(before, after);
+        if (Object.keys(changes).length === 0) return;
+        await notifier.enqueueRegistrants(eventId, "eventChanged", { event: { ...before, ...after }, changes });
+      }
+      drainOutboxSoon();
+    } catch (e) {
+      console.warn("Notification warning:", e.message);
+    }
+  }
+
+  // Élő frissítések (GET /events/stream): a módosítás UTÁN hívandók, az esemény aktuális állapotával.
+  // Best-effort: hiba esetén csak naplóz, a kliensek újracsatlakozáskor resync-kel pótolják.
+  async function publishEventUpdated(eventIds) {
+    try {
+      for (const eventId of eventIds) {
+        const doc = await db.collection(EVENTS).doc(eventId).get();
+        if (isLive(doc)) liveUpdates.publish("event.updated", { eventId, event: eventFromDoc(doc) });
+      }
+    } catch (e) {
+      console.warn("Live update warning:", e.message);
+    }
+  }
+
+  function publishEventDeleted(eventIds) {
+    eventIds.forEach((eventId) => liveUpdates.publish("event.deleted", { eventId }));
+  }
+
+  async function publishRegistrationChanged(eventIds) {
+    try {
+      for (const eventId of eventIds) {
+        const doc = await db.collection(EVENTS).doc(eventId).get();
+        if (!isLive(doc)) continue;
+        const { registrationCount = 0, waitlistCount = 0, capacity = null } = doc.data();
+        liveUpdates.publish("registration.changed", { eventId, registrationCount, waitlistCount, capacity });
+      }
+    } catch (e) {
+      console.warn("Live update warning:", e.message);
+    }
+  }
+
+  // Helyek újraosztása egy eseményen: jelentkezési sorrendben előlépteti a várólistásokat a szabad
+  // helyekre, és beírja az esemény registrationCount / waitlistCount számlálóit.
+  // Tranzakción belül kell hívni, a hívó saját írásai ELŐTT (Firestore: minden olvasás az írások előtt).
+  // leaving: az éppen törlődő regisztráció snapshotja (vagy null) – a függvény törli is.
+  async function rebalanceSeats(tx, eventId, leaving = null) {
+    const eventRef = db.collection(EVENTS).doc(eventId);
+    const eventSnap = await tx.get(eventRef);
+    if (!eventSnap.exists) {
+      if (leaving) tx.delete(leaving.ref);
+      return [];
+    }
+
+    const waitSnap = await tx.get(
+      db.collection(REGISTRATIONS).where("eventId", "==", eventId).where("status", "==", WAITLISTED)
+    );
+    const waitlisted = waitSnap.docs.filter((doc) => doc.id !== leaving?.id).sort(byRegisteredAt);
+
+    const { capacity, registrationCount = 0 } = eventSnap.data();
+    const leavingConfirmed = leaving && !isWaitlisted(leaving);
+    const confirmedCount = Math.max(registrationCount - (leavingConfirmed ? 1 : 0), 0);
+    const freeSeats = capacity ? Math.max(capacity - confirmedCount, 0) : waitlisted.length;
+    const promoted = waitlisted.slice(0, freeSeats);
+
+    promoted.forEach((doc) => {
+      tx.update(doc.ref, { status: CONFIRMED, promotedAt: FieldValue.serverTimestamp() });
+    });
+    tx.update(eventRef, {
+      registrationCount: confirmedCount + promoted.length,
+      waitlistCount: waitlisted.length - promoted.length,
+    });
+    if (leaving) tx.delete(leaving.ref);
+
+    return promoted.map((doc) => doc.data().uid);
+  }
+
+  // Firestore lekérdezés a szűrőkből. Egy lekérdezésben csak egy array-contains lehet, ezért a
+  // leghosszabb (legszelektívebb) kulcsszóra szűr a Firestore, a többit a matches() ellenőrzi.
+  function buildEventsQuery({ from, to, owner, category, tags, terms, sort, order }) {
+    let query = db.collection(EVENTS);
+    if (owner) query = query.where("ownerUid", "==", owner);
+    if (category) query = query.where("category", "==", category);
+    if (from) query = query.where("date", ">=", from);
+    if (to) query = query.where("date", "<=", to);
+
+    // Lekérdezésenként csak egy array-contains lehet: a leghosszabb keresőszóra, keresés nélkül az
+    // első címkére szűrünk, a többit utólag ellenőrizzük
+    const [indexedTerm, ...restTerms] = [...terms].sort((a, b) => b.length - a.length);
+    const restTags = indexedTerm ? tags : tags.slice(1);
+    if (indexedTerm) query = query.where("searchKeywords", "array-contains", indexedTerm);
+    else if (tags.length > 0) query = query.where("tags", "array-contains", tags[0]);
+
+    // A törölt eseményeket is itt szűrjük ki (a deletedAt mező hiányára nem lehet lekérdezni)
+    const matches = (doc) => {
+      const { searchKeywords = [], tags: eventTags = [] } = doc.data();
+      return (
+        !isDeleted(doc) &&
+        restTerms.every((term) => searchKeywords.includes(term)) &&
+        restTags.every((tag) => eventTags.includes(tag))
+      );
+    };
+    return { query: query.orderBy(sort, order), matches };
+  }
+
+  // { limit, startAfter } a limit és cursor query paraméterekből, vagy { error } érvénytelen kurzornál
+  async function pageOptions(reqQuery, collectionName) {
+    const limit = parseLimit(reqQuery);
+    if (reqQuery.cursor === undefined) return { limit, startAfter: null };
+
+    const id = decodeCursor(reqQuery.cursor);
+    const snap = id ? await db.collection(collectionName).doc(id).get() : null;
+    if (!snap?.exists) return { error: "Invalid or expired cursor" };
+    return { limit, startAfter: snap };
+  }
+
+  // A user összes eseménye, amire jelentkezett (a regisztráció státuszával együtt)
+  async function registeredEvents(uid) {
+    const regSnap = await db.collection(REGISTRATIONS).where("uid", "==", uid).get();
+    const eventIds = regSnap.docs.map((doc) => doc.data().eventId).filter(Boolean);
+    const statusByEvent = Object.fromEntries(regSnap.docs.map((doc) => [doc.data().eventId, doc.data().status || CONFIRMED]));
+
+    // A Firestore "in" szűrő legfeljebb 30 elemet enged
+    const chunks = [];
+    for (let i = 0; i < eventIds.length; i += 30) {
+      chunks.push(eventIds.slice(i, i + 30));
+    }
+
+    const events = [];
+    await Promise.all(
+      chunks.map(async (chunk) => {
+        const snap = await db.collection(EVENTS).where(FieldPath.documentId(), "in", chunk).get();
+        snap.docs
+          .filter((doc) => !isDeleted(doc))
+          .forEach((doc) => events.push({ ...eventFromDoc(doc), registrationStatus: statusByEvent[doc.id] }));
+      })
+    );
+    return events;
+  }
+
+  async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing Authorization Bearer token" });
+    try {
+      req.user = await auth.verifyIdToken(token);
+      return next();
+    } catch (e) {
+      return res.status(401).json({ error: "Invalid token", details: e.message });
+    }
+  }
+
+  // Mint a requireAuth, de token nélkül is továbbenged (req.user ilyenkor undefined)
+  async function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) return next();
+    return requireAuth(req, res, next);
+  }
+
+  // A bejelentkezett user közönsége (serializers.js) egy ownerUid tulajdonában lévő adathoz
+  function audienceFor(user, ownerUid) {
+    if (!user) return "public";
+    if (hasRole(user, "admin")) return "admin";
+    return user.uid === ownerUid ? "owner" : "member";
+  }
+
+  // Az esemény szervezője, illetve admin / moderátor kezelheti (beléptetés, részvételi adatok)
+  function canManageEvent(user, event) {
+    return user.uid === event.ownerUid || hasRole(user, "admin", "moderator");
+  }
+
+  // Hozzászólások végleges törlése a válaszaikkal és a bejelentéseikkel együtt
+  async function deleteCommentThreads(commentDocs) {
+    const refs = new Map(commentDocs.map((doc) => [doc.id, doc.ref]));
+    const ids = [...refs.keys()];
+    for (let i = 0; i < ids.length; i += 30) {
+      const repliesSnap = await db.collection(COMMENTS).where("parentId", "in", ids.slice(i, i + 30)).get();
+      repliesSnap.docs.forEach((doc) => refs.set(doc.id, doc.ref));
+    }
+    const allIds = [...refs.keys()];
+    for (let i = 0; i < allIds.length; i += 30) {
+      const reportsSnap = await db.collection(COMMENT_REPORTS).where("commentId", "in", allIds.slice(i, i + 30)).get();
+      reportsSnap.docs.forEach((doc) => refs.set(`report:${doc.id}`, doc.ref));
+    }
+
+    const all = [...refs.values()];
+    for (let i = 0; i < all.length; i += 400) {
+      const batch = db.batch();
+      all.slice(i, i + 400).forEach((ref) => batch.delete(ref));
+      await batch.commit();
+    }
+    return allIds.length;
+  }
+
+  // -------------------- IMAGE --------------------
+  // Egy feltöltési és egy törlési szerződés, a szolgáltatótól függetlenül (images.js).
+  // Feltöltés: multipart "image" fájl, vagy JSON { image: "data:image/...;base64,..." } (a Profile.jsx
+  // így küldi); purpose: "event" vagy "profile". A képet ellenőrizzük és méretváltozatokat készítünk
+  // (imageProcessing.js). Válasz: { id, url, variants: { thumbnail, card, full }, width, height }.
+  // Törlés: { id }, csak a saját kép.
+
+  // A body beolvasása a képméret-korláttal; túl nagy kép: 413
+  function readImageBody(req, res, next) {
+    const parse = req.is("multipart/form-data") ? upload.single("image") : imageJsonBody;
+    parse(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE" || err.type === "entity.too.large") {
+        return res.status(413).json({ error: `image must be at most ${imageLimits.maxBytes} bytes` });
+      }
+      return res.status(400).json({ error: err.message });
+    });
+  }
+
+  function handleImageUpload(defaultPurpose) {
+    return async (req, res) => {
+      try {
+        const purpose = req.body?.purpose || defaultPurpose;
+        if (!Object.hasOwn(IMAGE_FOLDERS, purpose)) {
+          return res.status(400).json({ error: `purpose must be one of: ${Object.keys(IMAGE_FOLDERS).join(", ")}` });
+        }
+        const buffer = imageBufferFromRequest(req);
+        if (!buffer) return res.status(400).json({ error: "Missing image (multipart field or base64 data URL: image)" });
+
+        const processed = await processImage(buffer, imageLimits);
+        if (processed.error) return res.status(processed.status).json({ error: processed.error });
+
+        const image = await images.upload(req.user.uid, processed.variants, purpose);
+        res.status(200).json({ ok: true, ...image, width: processed.width, height: processed.height });
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
+    };
+  }
+
+  app.post(
+    "/api/uploadImage",
+    limitBy("uploadImage", "ip"),
+    requireAuth,
+    limitBy("uploadImage", "uid"),
+    readImageBody,
+    handleImageUpload("event")
+  );
+  // Régi útvonal a profilképhez: ugyanaz a feltöltés, "profile" céllal
+  app.post(
+    "/api/uploadProfile",
+    limitBy("uploadProfile", "ip"),
+    requireAuth,
+    limitBy("uploadProfile", "uid"),
+    readImageBody,
+    handleImageUpload("profile")
+  );
+
+  app.post("/api/deleteImage", requireAuth, async (req, res) => {
+    try {
+      const { id } = req.body ?? {};
+      if (!isNonEmptyString(id)) return res.status(400).json({ error: "id is required" });
+
+      const image = await images.get(id);
+      if (!image) return res.status(404).json({ error: "A kép nem található" });
+      if (image.ownerUid !== req.user.uid) return res.status(403).json({ error: "Nem a te képed" });
+
+      await images.remove(image);
+      res.status(200).json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- USERS --------------------
+
+  app.get("/users", async (req, res) => {
+    try {
+      const page = await pageOptions(req.query, USERS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      // Nyilvános névjegyzék: email és egyéb személyes adat nélkül
+      const query = db.collection(USERS).orderBy("name");
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches: (doc) => !isDeleted(doc) });
+      const users = docs.map((doc) => serializeDoc(userView, doc, "public"));
+      res.status(200).json({ count: users.length, users, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/users/me", requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const doc = await db.collection(USERS).doc(uid).get();
+      if (!isLive(doc)) return res.status(404).json({ error: "User profile not found" });
+      res.status(200).json(serializeDoc(userView, doc, "owner"));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/users/register", limitBy("usersRegister", "ip"), validateBody(userRegisterSchema), async (req, res) => {
+    try {
+      const { name, email, password } = req.body;
+
+      const userRecord = await auth.createUser({ email, password, displayName: name });
+      await db.collection(USERS).doc(userRecord.uid).set({
+        name,
+        email,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      res.status(201).json({ ok: true, uid: userRecord.uid });
+    } catch (e) {
+      if (e?.code === "auth/email-already-exists") return res.status(409).json({ error: "Email already exists" });
+      res.status(500).json({ error: e.message });
+    }
+  });
+  app.put("/users/me", requireAuth, validateBody(userUpdateSchema), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { name, photoURL, emailNotifications } = req.body; // Kiterjesztve a photoURL-el
+
+      // Összeállítjuk a frissítendő adatokat a Firestore-hoz
+      const updates = { 
+        updatedAt: FieldValue.serverTimestamp() 
+      };
+
+      // Összeállítjuk a frissítendő adatokat a Firebase Auth-hoz
+      const authUpdates = {};
+
+      if (name) {
+        updates.name = name;
+        authUpdates.displayName = name;
+      }
+
+      // Ha érkezett photoURL, hozzáadjuk a frissítéshez
+      // (ha egyik sincs megadva, a userUpdateSchema már 400-zal visszautasította)
+      if (photoURL) {
+        updates.photoURL = photoURL;
+        authUpdates.photoURL = photoURL;
+      }
+
+      // E-mail értesítések ki- / bekapcsolása (csak a Firestore-ban)
+      if (typeof emailNotifications === "boolean") updates.emailNotifications = emailNotifications;
+
+      // 1. Frissítés a Firestore adatbázisban
+      const userRef = db.collection(USERS).doc(uid);
+      const previousPhoto = photoURL ? (await userRef.get()).data()?.photoURL : null;
+      await userRef.update(updates);
+
+      // 2. Frissítés a Firebase Authentication-ben
+      if (Object.keys(authUpdates).length > 0) {
+        await auth.updateUser(uid, authUpdates);
+      }
+
+      // 3. A lecserélt profilkép törlése a tárhelyről
+      if (previousPhoto && previousPhoto !== photoURL) await discardPhoto(previousPhoto, uid);
+
+      res.status(200).json({ ok: true, msg: "Sikeres módosítás" });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/users/me/ensure", requireAuth, validateBody(userEnsureSchema), async (req, res) => {
+    try {
+      const { uid, email, name } = req.user;
+      const ref = db.collection(USERS).doc(uid);
+      const snap = await ref.get();
+      const displayName =
+        req.body.name ||
+        (typeof name === "string" && name.trim()) ||
+        (email ? String(email).split("@")[0] : "Unknown");
+
+      if (!snap.exists) {
+        await ref.set({ name: displayName, email: email || null, createdAt: FieldValue.serverTimestamp() });
+        return res.status(201).json({ ok: true, created: true });
+      }
+      await ref.update({ name: displayName, email: email || null, updatedAt: FieldValue.serverTimestamp() });
+      return res.status(200).json({ ok: true, created: false });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Személyes naptár feliratkozási URL létrehozása / cseréje (a régi token érvényét veszti)
+  app.post("/users/me/calendar-feed", requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const oldFeeds = await db.collection(CALENDAR_FEEDS).where("uid", "==", uid).get();
+      const token = crypto.randomBytes(24).toString("base64url");
+
+      const batch = db.batch();
+      oldFeeds.docs.forEach((doc) => batch.delete(doc.ref));
+      batch.set(db.collection(CALENDAR_FEEDS).doc(token), { uid, createdAt: FieldValue.serverTimestamp() });
+      await batch.commit();
+
+      res.status(201).json({ ok: true, url: calendarFeedUrl(req, token) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.delete("/users/me/calendar-feed", requireAuth, async (req, res) => {
+    try {
+      const oldFeeds = await db.collection(CALENDAR_FEEDS).where("uid", "==", req.user.uid).get();
+      const batch = db.batch();
+      oldFeeds.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      res.status(200).json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A naptárkliensek nem küldenek Authorization fejlécet, ezért az URL-ben lévő titkos token azonosít
+  app.get("/calendar/:token.ics", async (req, res) => {
+    try {
+      const feedDoc = await db.collection(CALENDAR_FEEDS).doc(req.params.token).get();
+      if (!feedDoc.exists) return res.status(404).json({ error: "Naptár feed nem található" });
+      const userDoc = await db.collection(USERS).doc(feedDoc.data().uid).get();
+      if (isDeleted(userDoc)) return res.status(404).json({ error: "Naptár feed nem található" });
+
+      const events = await registeredEvents(feedDoc.data().uid);
+      const ics = buildCalendar(events, { name: "Events4Everyone", timeZone: TIME_ZONE });
+      sendCalendar(res, ics, "events4everyone.ics");
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- EVENTS --------------------
+
+  app.get("/events", async (req, res) => {
+    try {
+      const filters = parseEventFilters(req.query);
+      if (filters.error) return res.status(400).json({ error: filters.error });
+      const page = await pageOptions(req.query, EVENTS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const { query, matches } = buildEventsQuery(filters);
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches });
+      const events = docs.map((doc) => eventFromDoc(doc));
+      res.status(200).json({ count: events.length, events, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── GET /events/stream, GET /events/:id/stream ────────────────────────────────
+  // Élő frissítések SSE-vel (liveUpdates.js) a /events/registration-counts és /events/:id
+  // lekérdezgetése helyett: event.updated { eventId, event } (új eseménynél is), event.deleted { eventId },
+  // registration.changed { eventId, registrationCount, waitlistCount, capacity }. A kapcsolatot
+  // streamHeartbeatMs-enként egy SSE komment tartja életben; újracsatlakozáskor a Last-Event-ID
+  // fejléc (vagy a lastEventId query paraméter) óta kimaradt üzenetek is megjönnek.
+  function openStream(req, res, matches) {
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx / proxy ne pufferelje
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const send = (message) => {
+      if (matches(message)) res.write(formatSse(message));
+    };
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+    const { missed, resync, unsubscribe } = liveUpdates.subscribe(send, { lastEventId });
+    if (resync) res.write(formatSse({ type: "stream.resync", data: {} }));
+    missed.forEach(send);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), streamHeartbeatMs);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  app.get("/events/stream", (req, res) => openStream(req, res, () => true));
+
+  app.get("/events/:id/stream", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      openStream(req, res, (message) => message.data.eventId === id);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Kategóriák (a főoldal szekcióihoz) – nyilvános
+  app.get("/categories", async (req, res) => {
+    try {
+      const categories = await listCategories();
+      res.status(200).json({ count: categories.length, categories });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Darabszámok kategóriánként és címkénként a GET /events szűrőivel (a lapozás és a rendezés nélkül)
+  app.get("/events/facets", async (req, res) => {
+    try {
+      const filters = parseEventFilters(req.query);
+      if (filters.error) return res.status(400).json({ error: filters.error });
+
+      const { query, matches } = buildEventsQuery(filters);
+      const [snap, categories] = await Promise.all([query.get(), listCategories()]);
+      const events = snap.docs.filter(matches).map((doc) => doc.data());
+      res.status(200).json(countFacets(events, categories));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A közelben lévő közelgő események távolság szerint (distanceKm), legfeljebb limit darab, lapozás
+  // nélkül. Csak a térképes helyszínnel (place) rendelkező események jönnek szóba (geo.js).
+  app.get("/events/nearby", async (req, res) => {
+    try {
+      const nearby = parseNearbyQuery(req.query);
+      if (nearby.error) return res.status(400).json({ error: nearby.error });
+      const { center, radiusKm } = nearby;
+      const limit = parseLimit(req.query);
+
+      const snaps = await Promise.all(
+        geohashRanges(center, radiusKm).map(([start, end]) =>
+          db.collection(EVENTS).where("geohash", ">=", start).where("geohash", "<=", end).get()
+        )
+      );
+
+      // A tartományok átfedhetnek, és a sarkaikban a körön kívüli események is benne vannak
+      const today = todayDate();
+      const seen = new Set();
+      const events = [];
+      for (const doc of snaps.flatMap((snap) => snap.docs)) {
+        if (seen.has(doc.id)) continue;
+        seen.add(doc.id);
+        const { date, place } = doc.data();
+        if (isDeleted(doc) || !place || !(date >= today)) continue;
+        const distance = distanceKm(center, place);
+        if (distance <= radiusKm) events.push({ ...eventFromDoc(doc), distanceKm: Math.round(distance * 100) / 100 });
+      }
+      events.sort((a, b) => a.distanceKm - b.distanceKm);
+
+      const page = events.slice(0, limit);
+      res.status(200).json({ count: page.length, events: page, radiusKm, limit });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/events/mine", requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const page = await pageOptions(req.query, EVENTS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const query = db.collection(EVENTS).where("ownerUid", "==", uid).orderBy("createdAt", "desc");
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches: (doc) => !isDeleted(doc) });
+      const events = docs.map((doc) => eventFromDoc(doc, "owner"));
+      res.status(200).json({ count: events.length, events, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/events/registered", requireAuth, async (req, res) => {
+    try {
+      const events = await registeredEvents(req.user.uid);
+      res.status(200).json({ count: events.length, events });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/events/registration-counts", async (req, res) => {
+    try {
+      // A számlálók az esemény dokumentumokon vannak, így nem kell a teljes registrations kollekciót olvasni
+      const eventsSnap = await db.collection(EVENTS).select("registrationCount", "waitlistCount", "deletedAt").get();
+      const counts = {};
+      const waitlist = {};
+      eventsSnap.docs.filter((doc) => !isDeleted(doc)).forEach((doc) => {
+        const { registrationCount, waitlistCount } = doc.data();
+        if (registrationCount) counts[doc.id] = registrationCount;
+        if (waitlistCount) waitlist[doc.id] = waitlistCount;
+      });
+      res.status(200).json({ counts, waitlist });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- REGISTRATIONS --------------------
+
+  app.post("/events/:id/register", limitBy("eventRegister", "ip"), requireAuth, limitBy("eventRegister", "uid"), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const userDoc = await db.collection(USERS).doc(uid).get();
+      const userData = userDoc.exists ? userDoc.data() : null;
+
+      const eventRef = db.collection(EVENTS).doc(id);
+      const regRef = db.collection(REGISTRATIONS).doc(`${uid}_${id}`);
+
+      // Tranzakcióban, hogy két egyidejű jelentkezés ne foglalhassa el ugyanazt az utolsó helyet
+      const result = await db.runTransaction(async (tx) => {
+        const eventSnap = await tx.get(eventRef);
+        if (!isLive(eventSnap)) return null;
+
+        const regSnap = await tx.get(regRef);
+        if (regSnap.exists) return { status: regSnap.data().status || CONFIRMED, alreadyRegistered: true };
+
+        const { title, capacity, registrationCount = 0, waitlistCount = 0 } = eventSnap.data();
+        const isFull = Boolean(capacity) && registrationCount >= capacity;
+        const status = isFull ? WAITLISTED : CONFIRMED;
+
+        tx.set(regRef, {
+          uid,
+          eventId: id,
+          eventTitle: title || null,
+          userName: userData?.name || req.user?.email?.split("@")[0] || "Unknown",
+          userEmail: userData?.email || req.user?.email || null,
+          status,
+          registeredAt: FieldValue.serverTimestamp(),
+        });
+        tx.update(eventRef, isFull ? { waitlistCount: waitlistCount + 1 } : { registrationCount: registrationCount + 1 });
+        return { status, position: isFull ? waitlistCount + 1 : null, event: eventSnap.data() };
+      });
+
+      if (!result) return res.status(404).json({ error: "Esemény nem található" });
+      if (!result.alreadyRegistered) await publishRegistrationChanged([id]);
+
+      // Visszaigazoló e-mail (csak az új jelentkezésről; a leiratkozott usernek nem megy ki)
+      if (!result.alreadyRegistered) {
+        await notifier.enqueueUser(
+          uid,
+          result.status === WAITLISTED ? "registrationWaitlisted" : "registrationConfirmed",
+          { event: result.event, position: result.position },
+          { email: req.user?.email ?? null }
+        );
+        drainOutboxSoon();
+      }
+
+      const ticket = ticketSecret ? signTicket(ticketSecret, { registrationId: regRef.id, eventId: id }) : null;
+      if (result.status === WAITLISTED) {
+        return res.status(200).json({ ok: true, status: WAITLISTED, position: result.position, ticket, msg: "Az esemény betelt, várólistára kerültél" });
+      }
+      res.status(200).json({ ok: true, status: CONFIRMED, ticket, msg: "Sikeres jelentkezés" });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.delete("/events/:id/register", requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const regRef = db.collection(REGISTRATIONS).doc(`${uid}_${id}`);
+
+      // A felszabaduló helyre ugyanabban a tranzakcióban léptetjük elő a várólista elejét
+      const promoted = await db.runTransaction(async (tx) => {
+        const regSnap = await tx.get(regRef);
+        if (!regSnap.exists) return null;
+        return rebalanceSeats(tx, id, regSnap);
+      });
+      if (promoted) await publishRegistrationChanged([id]);
+
+      res.status(200).json({ ok: true, msg: "Sikeres leiratkozás", promoted: promoted || [] });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A szervező és az admin a teljes listát látja, az eseményre jelentkezett felhasználó csak a
+  // keresztneveket és a státuszt, mindenki más (a nem jelentkezett bejelentkezett user is) csak a
+  // létszámot (serializers.js registrationView)
+  app.get("/events/:id/registrations", optionalAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+
+      const { ownerUid, registrationCount = 0, waitlistCount = 0 } = eventDoc.data();
+      let audience = audienceFor(req.user, ownerUid);
+      if (audience === "member") {
+        const regDoc = await db.collection(REGISTRATIONS).doc(`${req.user.uid}_${id}`).get();
+        if (!regDoc.exists) audience = "public";
+      }
+      // Csak a létszám: a count (a régi kliensek ezt olvassák) itt az összes jelentkezés száma
+      if (!canView(registrationView, audience)) {
+        return res.status(200).json({ registrationCount, waitlistCount, count: registrationCount + waitlistCount });
+      }
+
+      const page = await pageOptions(req.query, REGISTRATIONS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const query = db.collection(REGISTRATIONS).where("eventId", "==", id).orderBy("registeredAt");
+      const { docs, nextCursor } = await fetchPage(query, page);
+      const registrations = docs.map((doc) => serializeDoc(registrationView, doc, audience));
+      res.status(200).json({
+        registrationCount,
+        waitlistCount,
+        count: registrations.length,
+        registrations,
+        limit: page.limit,
+        nextCursor,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- TICKETS --------------------
+  // Minden jelentkezéshez aláírt jegy tartozik (tickets.js); a QR kódját a bejáratnál a szervező
+  // beolvassa, és a POST /events/:id/checkin rögzíti a belépést (checkedInAt). Csak a jóváhagyott
+  // (nem várólistás) jelentkezéssel lehet belépni, egy jeggyel egyszer.
+
+  function requireTickets(req, res, next) {
+    if (!ticketSecret) return res.status(503).json({ error: "Nincs beállítva a jegyek aláíró kulcsa (TICKET_SECRET)" });
+    return next();
+  }
+
+  function ticketQrUrl(req, ticket) {
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+    return `${baseUrl}/tickets/${ticket}.png`;
+  }
+
+  // A saját jegy: { ticket, qrUrl, status, checkedInAt }
+  app.get("/events/:id/ticket", requireTickets, requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+
+      const regDoc = await db.collection(REGISTRATIONS).doc(`${req.user.uid}_${id}`).get();
+      if (!regDoc.exists) return res.status(404).json({ error: "Nem jelentkeztél erre az eseményre" });
+
+      const ticket = signTicket(ticketSecret, { registrationId: regDoc.id, eventId: id });
+      const { status = CONFIRMED, checkedInAt } = regDoc.data();
+      res.status(200).json({ ticket, qrUrl: ticketQrUrl(req, ticket), status, checkedInAt: toIso(checkedInAt) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A jegy QR kódja képként; <img>-be tehető, ezért nem kér Authorization fejlécet: a token azonosít
+  app.get("/tickets/:token.png", requireTickets, async (req, res) => {
+    try {
+      const ticket = verifyTicket(ticketSecret, req.params.token);
+      if (!ticket) return res.status(404).json({ error: "Jegy nem található" });
+      const [regDoc, eventDoc] = await Promise.all([
+        db.collection(REGISTRATIONS).doc(ticket.registrationId).get(),
+        db.collection(EVENTS).doc(ticket.eventId).get(),
+      ]);
+      if (!regDoc.exists || !isLive(eventDoc)) return res.status(404).json({ error: "Jegy nem található" });
+
+      res.set("Content-Type", "image/png");
+      res.set("Cache-Control", "private, max-age=86400");
+      res.status(200).send(await ticketQrPng(req.params.token));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/events/:id/checkin", requireTickets, requireAuth, validateBody(checkinSchema), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      if (!canManageEvent(req.user, eventDoc.data())) return res.status(403).json({ error: "Nem a te eseményed" });
+
+      const ticket = verifyTicket(ticketSecret, req.body.token);
+      if (!ticket) return res.status(400).json({ error: "Érvénytelen jegy" });
+      if (ticket.eventId !== id) return res.status(409).json({ error: "A jegy másik eseményre szól" });
+
+      // Tranzakcióban, hogy két egyidejű beolvasásból se legyen kétszeres belépés
+      const regRef = db.collection(REGISTRATIONS).doc(ticket.registrationId);
+      const rejection = await db.runTransaction(async (tx) => {
+        const regSnap = await tx.get(regRef);
+        if (!regSnap.exists) return { status: 404, error: "A jegyhez nem tartozik jelentkezés (leiratkozott)" };
+        const { status, checkedInAt } = regSnap.data();
+        if (status === WAITLISTED) return { status: 409, error: "A jegy várólistás jelentkezéshez tartozik" };
+        if (checkedInAt) return { status: 409, error: "Ezzel a jeggyel már beléptek", checkedInAt: toIso(checkedInAt) };
+        tx.update(regRef, { checkedInAt: FieldValue.serverTimestamp(), checkedInBy: req.user.uid });
+        return null;
+      });
+      if (rejection) {
+        const { status, ...body } = rejection;
+        return res.status(status).json(body);
+      }
+
+      const registration = serializeDoc(registrationView, await regRef.get(), "owner");
+      res.status(200).json({ ok: true, msg: "Sikeres belépés", registration });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Részvételi statisztika: jóváhagyott / várólistás / belépett jelentkezők
+  app.get("/events/:id/attendance", requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      if (!canManageEvent(req.user, eventDoc.data())) return res.status(403).json({ error: "Nem a te eseményed" });
+
+      const regsSnap = await db.collection(REGISTRATIONS).where("eventId", "==", id).get();
+      const confirmed = regsSnap.docs.filter((doc) => !isWaitlisted(doc));
+      const checkedIn = confirmed.filter((doc) => doc.data().checkedInAt);
+      const lastCheckIn = checkedIn.map((doc) => doc.data().checkedInAt).sort((a, b) => b.toMillis() - a.toMillis())[0];
+
+      res.status(200).json({
+        eventId: id,
+        confirmed: confirmed.length,
+        waitlisted: regsSnap.size - confirmed.length,
+        checkedIn: checkedIn.length,
+        notCheckedIn: confirmed.length - checkedIn.length,
+        // A belépettek aránya a jóváhagyott jelentkezők között (0–1)
+        attendanceRate: confirmed.length > 0 ? Math.round((checkedIn.length / confirmed.length) * 100) / 100 : null,
+        lastCheckInAt: toIso(lastCheckIn),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- COMMENTS --------------------
+  // Kérdések és válaszok az esemény oldalán. A válasz (parentId) csak legfelső szintű hozzászólásra
+  // mehet, így a szálak egy szint mélyek. Szerkeszteni a szerző, törölni a szerző, a szervező és az
+  // admin / moderátor tud; a törlés a válaszokat is viszi. A bejelentett hozzászólások a
+  // GET /admin/comments moderálási sorba kerülnek, az elrejtettek (status: "hidden") nem látszanak.
+
+  const isVisibleComment = (doc) => !isDeleted(doc) && doc.data().status !== "hidden";
+
+  // Az esemény és a hozzászólás ellenőrzése: { eventDoc, commentDoc } vagy { status, error }
+  async function loadComment(eventId, commentId) {
+    const [eventDoc, commentDoc] = await Promise.all([
+      db.collection(EVENTS).doc(eventId).get(),
+      db.collection(COMMENTS).doc(commentId).get(),
+    ]);
+    if (!isLive(eventDoc)) return { status: 404, error: "A megadott esemény nem létezik" };
+    if (!commentDoc.exists || commentDoc.data().eventId !== eventId || !isVisibleComment(commentDoc)) {
+      return { status: 404, error: "A hozzászólás nem található" };
+    }
+    return { eventDoc, commentDoc };
+  }
+
+  // Legfelső szintű hozzászólások időrendben, lapozva, mindegyik a válaszaival (replies)
+  app.get("/events/:id/comments", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+
+      const page = await pageOptions(req.query, COMMENTS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const query = db.collection(COMMENTS).where("eventId", "==", id).where("parentId", "==", null).orderBy("createdAt");
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches: isVisibleComment });
+
+      const replies = {};
+      const ids = docs.map((doc) => doc.id);
+      for (let i = 0; i < ids.length; i += 30) {
+        const snap = await db.collection(COMMENTS).where("parentId", "in", ids.slice(i, i + 30)).get();
+        snap.docs.filter(isVisibleComment).forEach((doc) => (replies[doc.data().parentId] ||= []).push(doc));
+      }
+      const comments = docs.map((doc) => ({
+        ...serializeDoc(commentView, doc, "public"),
+        replies: (replies[doc.id] || []).sort(byCreatedAt).map((reply) => serializeDoc(commentView, reply, "public")),
+      }));
+      res.status(200).json({ count: comments.length, comments, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post(
+    "/events/:id/comments",
+    limitBy("commentPost", "ip"),
+    requireAuth,
+    limitBy("commentPost", "uid"),
+    validateBody(commentCreateSchema),
+    async (req, res) => {
+      try {
+        const { uid } = req.user;
+        const { id } = req.params;
+        const { text, parentId = null } = req.body;
+
+        const eventDoc = await db.collection(EVENTS).doc(id).get();
+        if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+        if (parentId) {
+          const parentDoc = await db.collection(COMMENTS).doc(parentId).get();
+          if (!parentDoc.exists || parentDoc.data().eventId !== id || !isVisibleComment(parentDoc)) {
+            return sendValidationErrors(res, [{ field: "parentId", message: "parentId is not a comment of this event" }]);
+          }
+          if (parentDoc.data().parentId) {
+            return sendValidationErrors(res, [{ field: "parentId", message: "replies can only be made to top-level comments" }]);
+          }
+        }
+
+        const userDoc = await db.collection(USERS).doc(uid).get();
+        const ref = db.collection(COMMENTS).doc();
+        await ref.set({
+          eventId: id,
+          parentId,
+          uid,
+          authorName: userDoc.data()?.name || req.user.email?.split("@")[0] || "Unknown",
+          text,
+          status: "visible",
+          reportCount: 0,
+          flagged: false,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+        res.status(201).json(serializeDoc(commentView, await ref.get(), "public"));
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
+    }
+  );
+
+  // Szerkesztés: csak a szerző
+  app.put("/events/:id/comments/:commentId", requireAuth, validateBody(commentUpdateSchema), async (req, res) => {
+    try {
+      const { commentDoc, status, error } = await loadComment(req.params.id, req.params.commentId);
+      if (error) return res.status(status).json({ error });
+      if (commentDoc.data().uid !== req.user.uid) return res.status(403).json({ error: "Nem a te hozzászólásod" });
+
+      await commentDoc.ref.update({ text: req.body.text, editedAt: FieldValue.serverTimestamp() });
+      res.status(200).json(serializeDoc(commentView, await commentDoc.ref.get(), "public"));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Törlés: a szerző, az esemény szervezője vagy admin / moderátor; a válaszok is törlődnek
+  app.delete("/events/:id/comments/:commentId", requireAuth, async (req, res) => {
+    try {
+      const { eventDoc, commentDoc, status, error } = await loadComment(req.params.id, req.params.commentId);
+      if (error) return res.status(status).json({ error });
+      if (commentDoc.data().uid !== req.user.uid && !canManageEvent(req.user, eventDoc.data())) {
+        return res.status(403).json({ error: "Ezt a hozzászólást nem törölheted" });
+      }
+
+      const deleted = await deleteCommentThreads([commentDoc]);
+      res.status(200).json({ ok: true, deleted });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Visszaélés bejelentése; userenként egyszer számít, a saját hozzászólás nem jelenthető
+  app.post("/events/:id/comments/:commentId/report", requireAuth, validateBody(commentReportSchema), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { commentDoc, status, error } = await loadComment(req.params.id, req.params.commentId);
+      if (error) return res.status(status).json({ error });
+      if (commentDoc.data().uid === uid) return res.status(400).json({ error: "A saját hozzászólásodat nem jelentheted" });
+
+      const reportRef = db.collection(COMMENT_REPORTS).doc(`${commentDoc.id}_${uid}`);
+      const alreadyReported = await db.runTransaction(async (tx) => {
+        const [reportSnap, commentSnap] = await Promise.all([tx.get(reportRef), tx.get(commentDoc.ref)]);
+        if (reportSnap.exists) return true;
+        tx.set(reportRef, { commentId: commentDoc.id, uid, reason: req.body.reason ?? null, createdAt: FieldValue.serverTimestamp() });
+        tx.update(commentDoc.ref, {
+          reportCount: (commentSnap.data().reportCount || 0) + 1,
+          flagged: true,
+          lastReportedAt: FieldValue.serverTimestamp(),
+        });
+        return false;
+      });
+      res.status(200).json({ ok: true, alreadyReported, msg: "Köszönjük, a bejelentést megkaptuk" });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- RATINGS --------------------
+  // Értékelés (1-5 csillag és szöveges vélemény) az esemény kezdete után, a jelentkezéssel
+  // rendelkező usereknek, jelentkezésenként egyszer (ratings.js). Az összesítés az esemény
+  // részletes nézetében (rating) és a szervező nyilvános profilján (GET /organizers/:uid) látszik.
+
+  // Vélemények, a legújabb elöl
+  app.get("/events/:id/ratings", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventDoc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(eventDoc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+
+      const page = await pageOptions(req.query, RATINGS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const query = db.collection(RATINGS).where("eventId", "==", id).orderBy("createdAt", "desc");
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches: (doc) => !isDeleted(doc) });
+      const ratings = docs.map((doc) => serializeDoc(ratingView, doc, "public"));
+      res.status(200).json({
+        rating: ratingSummary(eventDoc.data()),
+        count: ratings.length,
+        ratings,
+        limit: page.limit,
+        nextCursor,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/events/:id/ratings", requireAuth, validateBody(ratingCreateSchema), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+      const { rating, review = null } = req.body;
+
+      const eventRef = db.collection(EVENTS).doc(id);
+      const regRef = db.collection(REGISTRATIONS).doc(`${uid}_${id}`);
+      const ratingRef = db.collection(RATINGS).doc(regRef.id);
+      const userDoc = await db.collection(USERS).doc(uid).get();
+
+      // Tranzakcióban, hogy a számlálók és az "egyszer jelentkezésenként" szabály egyidejű
+      // értékeléseknél is pontos maradjon
+      const result = await db.runTransaction(async (tx) => {
+        const [eventSnap, regSnap, ratingSnap] = await Promise.all([tx.get(eventRef), tx.get(regRef), tx.get(ratingRef)]);
+        if (!isLive(eventSnap)) return { status: 404, error: "A megadott esemény nem létezik" };
+
+        const event = eventSnap.data();
+        if (event.ownerUid === uid) return { status: 403, error: "A saját eseményedet nem értékelheted" };
+        if (!regSnap.exists) return { status: 403, error: "Csak az esemény jelentkezői értékelhetnek" };
+        const start = eventStart(event);
+        if (!start || start.getTime() > Date.now()) return { status: 422, error: "Az esemény még nem zajlott le" };
+        if (ratingSnap.exists) return { status: 409, error: "Ezt az eseményt már értékelted" };
+
+        tx.set(ratingRef, {
+          eventId: id,
+          uid,
+          ownerUid: event.ownerUid,
+          authorName: userDoc.data()?.name || regSnap.data().userName || "Unknown",
+          rating,
+          review,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+        const totals = { ratingSum: (event.ratingSum || 0) + rating, ratingCount: (event.ratingCount || 0) + 1 };
+        tx.update(eventRef, totals);
+        return { totals };
+      });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      await publishEventUpdated([id]);
+
+      res.status(201).json({ ...serializeDoc(ratingView, await ratingRef.get(), "public"), eventRating: ratingSummary(result.totals) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A szervező nyilvános profilja: név, fotó, az élő eseményei száma és az értékeléseik összesítése
+  app.get("/organizers/:uid", async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const userDoc = await db.collection(USERS).doc(uid).get();
+      if (!isLive(userDoc)) return res.status(404).json({ error: "A megadott user nem létezik" });
+
+      const eventsSnap = await db.collection(EVENTS).where("ownerUid", "==", uid).select("ratingSum", "ratingCount", "deletedAt").get();
+      const events = eventsSnap.docs.filter((doc) => !isDeleted(doc)).map((doc) => doc.data());
+      res.status(200).json({
+        ...serializeDoc(userView, userDoc, "public"),
+        eventCount: events.length,
+        rating: combineRatings(events),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- EVENTS CRUD --------------------
+
+  // Az ismétlődő sorozat összes alkalma dátum szerint (nem ismétlődő eseménynél csak önmaga)
+  app.get("/events/:id/occurrences", async (req, res) => {
+    try {
+      const doc = await db.collection(EVENTS).doc(req.params.id).get();
+      if (!isLive(doc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+
+      const { seriesId } = doc.data();
+      if (!seriesId) return res.status(200).json({ count: 1, seriesId: null, events: [eventFromDoc(doc)] });
+
+      const snap = await db.collection(EVENTS).where("seriesId", "==", seriesId).orderBy("date").get();
+      const events = snap.docs.filter((d) => !isDeleted(d)).map((doc) => eventFromDoc(doc));
+      res.status(200).json({ count: events.length, seriesId, events });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/events/:id/calendar.ics", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const doc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(doc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      if (!doc.data().date) return res.status(422).json({ error: "Az eseménynek nincs dátuma, nem exportálható" });
+
+      const ics = buildCalendar([eventFromDoc(doc)], { timeZone: TIME_ZONE });
+      sendCalendar(res, ics, `event-${id}.ics`);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/events/:id", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const doc = await db.collection(EVENTS).doc(id).get();
+      if (!isLive(doc)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      res.status(200).json(eventFromDoc(doc));
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/events", requireAuth, validateBody(eventCreateSchema), checkEventCategory, resolveEventImages(), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { recurrence } = req.body;
+
+      const { schedule, field, error: scheduleError } = buildSchedule(req.body, TIME_ZONE);
+      if (scheduleError) return sendValidationErrors(res, [{ field, message: scheduleError }]);
+
+      // Ismétlődő esemény: minden alkalom külön esemény dokumentum lesz (külön jelentkezéssel, létszámmal)
+      let rule = null;
+      let occurrenceDates = null;
+      if (recurrence !== undefined && recurrence !== null) {
+        const recurrenceError = (message) => sendValidationErrors(res, [{ field: "recurrence", message }]);
+        if (!schedule.date) return recurrenceError("recurrence requires a date");
+        const parsed = parseRecurrence(recurrence);
+        if (parsed.error) return recurrenceError(parsed.error);
+        const expanded = expandRecurrence(schedule.date, parsed.rule);
+        if (expanded.error) return recurrenceError(expanded.error);
+        rule = parsed.rule;
+        occurrenceDates = expanded.dates;
+      }
+
+      const userDoc = await db.collection(USERS).doc(uid).get();
+      const userData = userDoc.exists ? userDoc.data() : null;
+      const ownerName =
+        (userData?.name && String(userData.name).trim()) ||
+        (req.user?.name && String(req.user.name).trim()) ||
+        (req.user?.email ? String(req.user.email).split("@")[0] : "Unknown");
+      const ownerEmail = userData?.email || req.user?.email || null;
+
+      const eventData = {
+        ...buildEventFields(req.body, schedule),
+        registrationCount: 0,
+        waitlistCount: 0,
+        ownerUid: uid,
+        ownerName,
+        ownerEmail,
+        createdAt: FieldValue.serverTimestamp(),
+      };
+
+      if (!occurrenceDates) {
+        const docRef = await db.collection(EVENTS).add(eventData);
+        await publishEventUpdated([docRef.id]);
+        return res.status(201).json({ ok: true, id: docRef.id });
+      }
+
+      // MAX_OCCURRENCES (104) alkalom belefér egy batch 500-as írási korlátjába
+      const seriesId = db.collection(EVENTS).doc().id;
+      const batch = db.batch();
+      const occurrenceIds = occurrenceDates.map((occurrenceDate, occurrenceIndex) => {
+        const ref = db.collection(EVENTS).doc();
+        batch.set(ref, {
+          ...eventData,
+          ...scheduleOnDate(schedule, occurrenceDate),
+          seriesId,
+          occurrenceIndex,
+          recurrence: rule,
+        });
+        return ref.id;
+      });
+      await batch.commit();
+      await publishEventUpdated(occurrenceIds);
+
+      res.status(201).json({ ok: true, id: occurrenceIds[0], seriesId, occurrenceIds });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.put("/events/:id", requireAuth, validateBody(eventUpdateSchema), checkEventCategory, resolveEventImages(), async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+      const scope = req.query.scope || "this";
+
+      if (!EDIT_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(", ")}` });
+
+      const ref = db.collection(EVENTS).doc(id);
+      const docSnap = await ref.get();
+      if (!isLive(docSnap)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      if (docSnap.data().ownerUid !== uid) return res.status(403).json({ error: "Nem a te eseményed" });
+
+      // Időzóna nélkül az esemény eddigi időzónája marad
+      const { schedule, field, error: scheduleError } = buildSchedule(req.body, docSnap.data().timeZone || TIME_ZONE);
+      if (scheduleError) return sendValidationErrors(res, [{ field, message: scheduleError }]);
+
+      const updates = {
+        ...keepUnsentFields(buildEventFields(req.body, schedule), req.body),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      // "future": a sorozat összes későbbi alkalma is módosul; a dátum változását (napokban)
+      // eltolásként alkalmazzuk, így pl. a keddi alkalmak szerdára kerülnek
+      const current = docSnap.data();
+      const targets = scope === "future" && current.seriesId ? await futureOccurrences(docSnap) : [docSnap];
+      const shift = schedule.date && current.date ? daysBetween(current.date, schedule.date) : 0;
+
+      const changed = targets.map((doc) =>
+        doc.id === id || !schedule.date || !doc.data().date
+          ? updates
+          : { ...updates, ...scheduleOnDate(schedule, addDays(doc.data().date, shift)) }
+      );
+      const batch = db.batch();
+      targets.forEach((doc, i) => batch.update(doc.ref, changed[i]));
+      await batch.commit();
+
+      // Ha nőtt (vagy megszűnt) a létszámkorlát, a várólistáról feltöltjük a szabad helyeket
+      const promoted = [];
+      const rebalanced = [];
+      for (const doc of targets) {
+        const promotedHere = await db.runTransaction((tx) => rebalanceSeats(tx, doc.id));
+        if (promotedHere.length > 0) rebalanced.push(doc.id);
+        promoted.push(...promotedHere);
+      }
+      await discardImages(replacedImageRefs(targets, updates), uid);
+      for (const [i, doc] of targets.entries()) await notifyRegistrants(doc.id, doc.data(), changed[i]);
+      await publishEventUpdated(targets.map((doc) => doc.id));
+      await publishRegistrationChanged(rebalanced);
+
+      res.status(200).json({ ok: true, msg: "Sikeres módosítás", updated: targets.map((doc) => doc.id), promoted });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.delete("/events/:id", requireAuth, async (req, res) => {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+      const scope = req.query.scope || "this";
+      if (!EDIT_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of: ${EDIT_SCOPES.join(", ")}` });
+
+      const ref = db.collection(EVENTS).doc(id);
+      const docSnap = await ref.get();
+      if (!isLive(docSnap)) return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      if (docSnap.data().ownerUid !== uid) return res.status(403).json({ error: "Nem a te eseményed" });
+
+      // Soft delete: a lomtárba kerül, a jelentkezések és a képek a végleges törlésig megmaradnak
+      const targets = scope === "future" && docSnap.data().seriesId ? await futureOccurrences(docSnap) : [docSnap];
+      const batch = db.batch();
+      targets.forEach((eventDoc) => {
+        batch.update(eventDoc.ref, { deletedAt: FieldValue.serverTimestamp(), deletedBy: uid });
+        recordAudit(req, {
+          action: "event.delete",
+          targetType: "event",
+          targetId: eventDoc.id,
+          meta: { title: eventDoc.data().title, scope },
+        }, batch);
+      });
+      await batch.commit();
+      for (const eventDoc of targets) await notifyRegistrants(eventDoc.id, eventDoc.data());
+      publishEventDeleted(targets.map((doc) => doc.id));
+
+      res.status(200).json({ ok: true, msg: "Sikeres törlés", deleted: targets.map((doc) => doc.id) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── Segédfüggvény: csak a megadott szerepkörök egyikével mehet tovább ──────────
+  // Csak a dekódolt token roles claim-jét nézi (roles.js), Firestore olvasás nélkül
+  function requireRole(...roles) {
+    return async (req, res, next) => {
+      const header = req.headers.authorization || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+      if (!token) return res.status(401).json({ error: "Missing token" });
+      try {
+        req.user = await auth.verifyIdToken(token);
+      } catch (e) {
+        return res.status(401).json({ error: "Invalid token", details: e.message });
+      }
+      if (!hasRole(req.user, ...roles)) {
+        return res.status(403).json({ error: `Szükséges szerepkör: ${roles.join(" vagy ")}` });
+      }
+      return next();
+    };
+  }
+
+  const requireAdmin = requireRole("admin");
+  // Események moderálása: módosítás és törlés, a userek kezelése nélkül
+  const requireModerator = requireRole("admin", "moderator");
+
+  // Bejegyzés az audit naplóba (audit.js) a bejelentkezett user nevében. batch megadásakor a
+  // művelettel együtt, atomikusan íródik ki.
+  function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, meta = null }, batch = null) {
+    const ref = db.collection(AUDIT_LOG).doc();
+    const entry = {
+      action,
+      actorUid: req.user.uid,
+      actor: { uid: req.user.uid, email: req.user.email ?? null, roles: rolesOf(req.user) },
+      targetType,
+      targetId,
+      changes: auditChanges(before, after),
+      meta,
+      createdAt: FieldValue.serverTimestamp(),
+    };
+    return batch ? batch.set(ref, entry) : ref.set(entry);
+  }
+
+  // ── GET /admin/stats ──────────────────────────────────────────────────────────
+  app.get("/admin/stats", requireAdmin, async (req, res) => {
+    try {
+      // count() aggregáció: nem tölti le a dokumentumokat
+      // A lomtárban lévőket levonjuk
+      const [usersCount, deletedUsersCount, eventsCount, deletedEventsCount, regsCount, recent] = await Promise.all([
+        db.collection(USERS).count().get(),
+        db.collection(USERS).where("deletedAt", "!=", null).count().get(),
+        db.collection(EVENTS).count().get(),
+        db.collection(EVENTS).where("deletedAt", "!=", null).count().get(),
+        db.collection(REGISTRATIONS).count().get(),
+        fetchPage(db.collection(EVENTS).orderBy("createdAt", "desc"), { limit: 10, matches: (doc) => !isDeleted(doc) }),
+      ]);
+
+      const recentEvents = recent.docs.map((doc) => eventFromDoc(doc, "admin"));
+
+      res.status(200).json({
+        totalUsers: usersCount.data().count - deletedUsersCount.data().count,
+        totalEvents: eventsCount.data().count - deletedEventsCount.data().count,
+        totalRegistrations: regsCount.data().count,
+        recentEvents,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── GET /admin/users ──────────────────────────────────────────────────────────
+  app.get("/admin/users", requireAdmin, async (req, res) => {
+    try {
+      const page = await pageOptions(req.query, USERS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const query = db.collection(USERS).orderBy("name");
+      const { docs, nextCursor } = await fetchPage(query, { ...page, matches: (doc) => !isDeleted(doc) });
+      const users = docs.map((doc) => ({ uid: doc.id, ...serialize(userView, doc.data(), "admin") }));
+      res.status(200).json({ count: users.length, users, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── GET /admin/audit ──────────────────────────────────────────────────────────
+  // Az audit napló, legújabb elöl. Szűrők: action, actor (uid), targetType, targetId, from, to
+  // (ISO időpont); lapozás: limit, cursor. Firestore-ban a szűrő + createdAt rendezés párosokhoz
+  // összetett index kell.
+  app.get("/admin/audit", requireAdmin, async (req, res) => {
+    try {
+      const filters = parseAuditFilters(req.query);
+      if (filters.error) return res.status(400).json({ error: filters.error });
+      const page = await pageOptions(req.query, AUDIT_LOG);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      let query = db.collection(AUDIT_LOG);
+      for (const field of ["action", "actorUid", "targetType", "targetId"]) {
+        if (filters[field]) query = query.where(field, "==", filters[field]);
+      }
+      if (filters.from) query = query.where("createdAt", ">=", filters.from);
+      if (filters.to) query = query.where("createdAt", "<=", filters.to);
+
+      const { docs, nextCursor } = await fetchPage(query.orderBy("createdAt", "desc"), page);
+      const entries = docs.map((doc) => ({ id: doc.id, ...doc.data(), createdAt: toIso(doc.data().createdAt) }));
+      res.status(200).json({ count: entries.length, entries, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── PUT /admin/users/:uid ─────────────────────────────────────────────────────
+  // Body: { name?, roles?, isAdmin? } – a szerepkörök custom claim-be kerülnek (roles.js), a users
+  // dokumentumba csak másolatuk. Az isAdmin a régi felületé: csak az admin szerepkört állítja.
+  app.put("/admin/users/:uid", requireAdmin, validateBody(adminUserUpdateSchema), async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { name, isAdmin } = req.body;
+
+      // A user dokumentumának léteznie kell, mielőtt az auth fiókhoz nyúlunk: különben a claim-ek
+      // módosulnának, de a batch (és vele az audit bejegyzés) elbukna
+      const userRef = db.collection(USERS).doc(uid);
+      const userSnap = await userRef.get();
+      if (!isLive(userSnap)) return res.status(404).json({ error: "A megadott user nem létezik" });
+      const before = userSnap.data();
+
+      let { roles } = req.body;
+      if (typeof isAdmin === "boolean") {
+        const current = rolesOf((await auth.getUser(uid)).customClaims);
+        roles = isAdmin ? [...current, "admin"] : current.filter((role) => role !== "admin");
+      }
+      // Egy admin ne zárhassa ki véletlenül saját magát
+      if (roles && uid === req.user.uid && !roles.includes("admin")) {
+        return res.status(400).json({ error: "A saját admin jogodat nem veheted el" });
+      }
+
+      const updates = { updatedAt: FieldValue.serverTimestamp() };
+      if (name) {
+        updates.name = name;
+        await auth.updateUser(uid, { displayName: name });
+      }
+      if (roles) {
+        updates.roles = await setRoleClaims(auth, uid, roles);
+        updates.isAdmin = updates.roles.includes("admin");
+      }
+
+      const batch = db.batch();
+      batch.update(userRef, updates);
+      recordAudit(req, { action: "user.update", targetType: "user", targetId: uid, before, after: { ...before, ...updates } }, batch);
+      await batch.commit();
+      res.status(200).json({ ok: true, roles: updates.roles });
+    } catch (e) {
+      if (e?.code === "auth/user-not-found") return res.status(404).json({ error: "A megadott user nem létezik" });
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── DELETE /admin/users/:uid ──────────────────────────────────────────────────
+  // Soft delete: a user és az összes (még nem törölt) eseménye és hozzászólása a lomtárba kerül, az
+  // auth fiókja letiltva. A jelentkezései megmaradnak; véglegesen a POST /admin/trash/purge törli.
+  app.delete("/admin/users/:uid", requireAdmin, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      if (uid === req.user.uid) return res.status(400).json({ error: "Saját magadat nem törölheted" });
+
+      const userRef = db.collection(USERS).doc(uid);
+      const userSnap = await userRef.get();
+      if (!isLive(userSnap)) return res.status(404).json({ error: "A megadott user nem létezik" });
+
+      const [eventsSnap, commentsSnap, ratingsSnap] = await Promise.all([
+        db.collection(EVENTS).where("ownerUid", "==", uid).get(),
+        db.collection(COMMENTS).where("uid", "==", uid).get(),
+        db.collection(RATINGS).where("uid", "==", uid).get(),
+      ]);
+      const events = eventsSnap.docs.filter((doc) => !isDeleted(doc));
+      // A user értékelései az összesítésben megmaradnak (csak a végleges törlés veszi ki őket),
+      // de a véleménye nem látszik
+      const owned = [...events, ...[...commentsSnap.docs, ...ratingsSnap.docs].filter((doc) => !isDeleted(doc))];
+      const deletion = { deletedAt: FieldValue.serverTimestamp(), deletedBy: req.user.uid };
+
+      // Batch-enként max. 500 írás; a user dokumentuma és a napló az utolsó batch-be kerül
+      for (let i = 0; i < owned.length; i += 400) {
+        const batch = db.batch();
+        owned.slice(i, i + 400).forEach((doc) => batch.update(doc.ref, { ...deletion, deletedWithUser: uid }));
+        await batch.commit();
+      }
+      const batch = db.batch();
+      batch.update(userRef, deletion);
+      recordAudit(req, {
+        action: "user.delete",
+        targetType: "user",
+        targetId: uid,
+        meta: { deletedEvents: events.map((doc) => doc.id) },
+      }, batch);
+      await batch.commit();
+
+      for (const doc of events) await notifyRegistrants(doc.id, doc.data());
+      publishEventDeleted(events.map((doc) => doc.id));
+
+      // Letiltott fiókkal nem lehet új tokent kérni (a már kiadott token a lejáratáig, max. 1 óráig él)
+      try {
+        await auth.updateUser(uid, { disabled: true });
+      } catch (authErr) {
+        console.warn("Auth disable warning:", authErr.message);
+      }
+
+      res.status(200).json({ ok: true, deletedEvents: events.map((doc) => doc.id) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/registration-counts/recompute ─────────────────────────────────
+  // Az események registrationCount / waitlistCount számlálóinak újraszámolása a registrations
+  // kollekcióból (eltérés javítására, pl. a számlálók bevezetése előtti eseményeknél)
+  app.post("/admin/registration-counts/recompute", requireAdmin, async (req, res) => {
+    try {
+      const [eventsSnap, regsSnap] = await Promise.all([
+        db.collection(EVENTS).select("registrationCount", "waitlistCount").get(),
+        db.collection(REGISTRATIONS).get(),
+      ]);
+
+      const actual = {};
+      regsSnap.docs.forEach((doc) => {
+        const { eventId } = doc.data();
+        if (!eventId) return;
+        actual[eventId] ??= { registrationCount: 0, waitlistCount: 0 };
+        actual[eventId][isWaitlisted(doc) ? "waitlistCount" : "registrationCount"] += 1;
+      });
+
+      const drifted = eventsSnap.docs.filter((doc) => {
+        const stored = doc.data();
+        const counted = actual[doc.id] || { registrationCount: 0, waitlistCount: 0 };
+        return stored.registrationCount !== counted.registrationCount || stored.waitlistCount !== counted.waitlistCount;
+      });
+
+      // Batch-enként max. 500 írás
+      for (let i = 0; i < drifted.length; i += 500) {
+        const batch = db.batch();
+        drifted.slice(i, i + 500).forEach((doc) => {
+          batch.update(doc.ref, actual[doc.id] || { registrationCount: 0, waitlistCount: 0 });
+        });
+        await batch.commit();
+      }
+
+      const fixed = drifted.map((doc) => doc.id);
+      await recordAudit(req, { action: "maintenance.recompute-counts", targetType: "events", meta: { fixed } });
+      await publishRegistrationChanged(fixed);
+      res.status(200).json({ ok: true, checked: eventsSnap.size, fixed });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/events/reindex ────────────────────────────────────────────────
+  // A searchKeywords és imageKeys mezők újraépítése minden eseményen (a keresés / képtakarítás
+  // bevezetése előtti eseményekhez)
+  app.post("/admin/events/reindex", requireAdmin, async (req, res) => {
+    try {
+      const eventsSnap = await db
+        .collection(EVENTS)
+        .select("title", "location", "description", "images", "imageUrl", "imageDeleteUrl")
+        .get();
+      for (let i = 0; i < eventsSnap.size; i += 500) {
+        const batch = db.batch();
+        eventsSnap.docs.slice(i, i + 500).forEach((doc) => {
+          batch.update(doc.ref, {
+            searchKeywords: buildSearchKeywords(doc.data()),
+            imageKeys: eventImageRefs(doc.data()).map((ref) => ref.key),
+          });
+        });
+        await batch.commit();
+      }
+      await recordAudit(req, { action: "maintenance.reindex", targetType: "events", meta: { reindexed: eventsSnap.size } });
+      res.status(200).json({ ok: true, reindexed: eventsSnap.size });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/migrations/event-datetimes ────────────────────────────────────
+  // A régi (csak date / time mezős) események kiegészítése startsAt / endsAt / timeZone mezőkkel.
+  // Többször is futtatható: a már átalakított eseményeket kihagyja. ?dryRun=true esetén nem ír.
+  // A nem létező naptári napra mutató eseményeket (pl. 2026.02.31) nem módosítja, csak listázza.
+  app.post("/admin/migrations/event-datetimes", requireAdmin, async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      const eventsSnap = await db.collection(EVENTS).select("date", "time", "startsAt", "timeZone").get();
+
+      const updates = [];
+      const invalid = [];
+      eventsSnap.docs.forEach((doc) => {
+        const { date, time, startsAt, timeZone } = doc.data();
+        if (startsAt || !date) return;
+        const { schedule, error } = buildSchedule({ date, time: time || null, timeZone: timeZone || null }, TIME_ZONE);
+        if (error) return invalid.push({ id: doc.id, date, time: time || null, error });
+        updates.push({ ref: doc.ref, schedule });
+      });
+
+      if (!dryRun) {
+        for (let i = 0; i < updates.length; i += 500) {
+          const batch = db.batch();
+          updates.slice(i, i + 500).forEach(({ ref, schedule }) => batch.update(ref, schedule));
+          await batch.commit();
+        }
+        await recordAudit(req, {
+          action: "maintenance.migrate-datetimes",
+          targetType: "events",
+          meta: { migrated: updates.map(({ ref }) => ref.id) },
+        });
+      }
+
+      res.status(200).json({ ok: true, dryRun, checked: eventsSnap.size, migrated: updates.map(({ ref }) => ref.id), invalid });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/images/reconcile ──────────────────────────────────────────────
+  // Árva képek takarítása: a feltöltött képek (images rekordok) és a szolgáltatónál listázható
+  // fájlok közül azok törlése, amelyekre sem esemény, sem profilkép nem hivatkozik. A minAgeHours-nál
+  // (alapból 24) frissebb feltöltéseket kihagyja, mert azokat még csatolhatják egy eseményhez.
+  // ?dryRun=true esetén nem töröl, csak listáz.
+  app.post("/admin/images/reconcile", requireAdmin, async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      const minAgeHours = req.query.minAgeHours === undefined ? 24 : Number(req.query.minAgeHours);
+      if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+        return res.status(400).json({ error: "minAgeHours must be a non-negative number" });
+      }
+
+      const [eventsSnap, usersSnap] = await Promise.all([
+        db.collection(EVENTS).select("images", "imageUrl", "imageDeleteUrl").get(),
+        db.collection(USERS).select("photoURL").get(),
+      ]);
+      const referenced = new Set();
+      eventsSnap.docs.forEach((doc) => {
+        eventImageRefs(doc.data()).forEach(({ id, url }) => [id, url].forEach((key) => key && referenced.add(key)));
+      });
+      usersSnap.docs.forEach((doc) => doc.data().photoURL && referenced.add(doc.data().photoURL));
+
+      const { records, hosted, failed } = await images.reconcile(referenced, {
+        cutoff: Date.now() - minAgeHours * 60 * 60 * 1000,
+        dryRun,
+      });
+      if (!dryRun) {
+        await recordAudit(req, { action: "maintenance.reconcile-images", targetType: "images", meta: { records, hosted, failed } });
+      }
+      res.status(200).json({ ok: true, dryRun, checked: eventsSnap.size + usersSnap.size, records, hosted, failed });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── DELETE /admin/events/:id ──────────────────────────────────────────────────
+  // Adminként / moderátorként bármilyen esemény törlése (soft delete, a jelentkezések megmaradnak)
+  app.delete("/admin/events/:id", requireModerator, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const eventRef = db.collection(EVENTS).doc(id);
+      const eventSnap = await eventRef.get();
+
+      // 1. Ellenőrizzük, létezik-e az esemény (a lomtárban lévő is "nem létező")
+      if (!isLive(eventSnap)) {
+        return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      }
+
+      // 2. Lomtárba helyezés és naplózás egy batch-ben
+      const batch = db.batch();
+      batch.update(eventRef, { deletedAt: FieldValue.serverTimestamp(), deletedBy: req.user.uid });
+      recordAudit(req, { action: "event.delete", targetType: "event", targetId: id, meta: { title: eventSnap.data().title } }, batch);
+      await batch.commit();
+      await notifyRegistrants(id, eventSnap.data());
+      publishEventDeleted([id]);
+
+      res.status(200).json({ 
+        ok: true, 
+        msg: "Esemény törölve (admin által), a lomtárból visszaállítható" 
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── PUT /admin/events/:id ─────────────────────────────────────────────────────
+  // Adminként / moderátorként bármilyen esemény módosítása
+  app.put("/admin/events/:id", requireModerator, validateBody(eventUpdateSchema), checkEventCategory, resolveEventImages(eventOwnerOf), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const eventRef = db.collection(EVENTS).doc(id);
+      const docSnap = await eventRef.get();
+
+      // 1. Létezés ellenőrzése
+      if (!isLive(docSnap)) {
+        return res.status(404).json({ error: "A megadott esemény nem létezik" });
+      }
+
+      // 2. Időpont ellenőrzése; időzóna nélkül az esemény eddigi időzónája marad
+      const { schedule, field, error: scheduleError } = buildSchedule(req.body, docSnap.data().timeZone || TIME_ZONE);
+      if (scheduleError) return sendValidationErrors(res, [{ field, message: scheduleError }]);
+
+      // 3. Módosítás végrehajtása
+      // (Itt nincs ownerUid ellenőrzés, mert a requireModerator már lefutott)
+      // Az admin felület nem küld capacity-t, kategóriát és címkéket: ha hiányoznak, a meglévők maradnak
+      const fields = keepUnsentFields(buildEventFields(req.body, schedule), req.body);
+      const batch = db.batch();
+      batch.update(eventRef, {
+        ...fields,
+        updatedAt: FieldValue.serverTimestamp(),
+        adminLastEdit: req.user.uid // Opcionális: nyomon követhető, melyik admin módosította utoljára
+      });
+      recordAudit(req, {
+        action: "event.update",
+        targetType: "event",
+        targetId: id,
+        before: docSnap.data(),
+        after: { ...docSnap.data(), ...fields },
+      }, batch);
+      await batch.commit();
+      const promoted = await db.runTransaction((tx) => rebalanceSeats(tx, id));
+      await discardImages(replacedImageRefs([docSnap], fields), docSnap.data().ownerUid);
+      await notifyRegistrants(id, docSnap.data(), fields);
+      await publishEventUpdated([id]);
+      if (promoted.length > 0) await publishRegistrationChanged([id]);
+
+      res.status(200).json({ 
+        ok: true, 
+        msg: "Esemény sikeresen módosítva az adminisztrátor által",
+        promoted
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- CATEGORIES --------------------
+  // A kategóriák kezelése (csak admin). Törölni csak a használaton kívüli kategóriát lehet (a
+  // lomtárban lévő események is használónak számítanak).
+
+  app.get("/admin/categories", requireAdmin, async (req, res) => {
+    try {
+      const categories = await listCategories();
+      const withCounts = await Promise.all(
+        categories.map(async (category) => {
+          const countSnap = await db.collection(EVENTS).where("category", "==", category.id).count().get();
+          return { ...category, eventCount: countSnap.data().count };
+        })
+      );
+      res.status(200).json({ count: withCounts.length, categories: withCounts });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/admin/categories", requireAdmin, validateBody(categoryCreateSchema), async (req, res) => {
+    try {
+      const { name, description = null, order = 0 } = req.body;
+      const id = req.body.id || slugify(name);
+      if (!id) return sendValidationErrors(res, [{ field: "id", message: "id is required when the name has no letters or digits" }]);
+
+      const ref = db.collection(CATEGORIES).doc(id);
+      const category = { name, description, order, createdAt: FieldValue.serverTimestamp() };
+      // create: ha már létezik ilyen id, hibát dob (ALREADY_EXISTS)
+      const batch = db.batch();
+      batch.create(ref, category);
+      recordAudit(req, { action: "category.create", targetType: "category", targetId: id, after: { name, description, order } }, batch);
+      try {
+        await batch.commit();
+      } catch (e) {
+        if (e.code === 6) return res.status(409).json({ error: "Ilyen azonosítójú kategória már létezik" });
+        throw e;
+      }
+      res.status(201).json({ ok: true, id });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.put("/admin/categories/:id", requireAdmin, validateBody(categoryUpdateSchema), async (req, res) => {
+    try {
+      const ref = db.collection(CATEGORIES).doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: "A megadott kategória nem létezik" });
+
+      const { name, description, order } = req.body;
+      const updates = { updatedAt: FieldValue.serverTimestamp() };
+      if (name) updates.name = name;
+      if (description !== undefined) updates.description = description;
+      if (order !== undefined) updates.order = order;
+
+      const batch = db.batch();
+      batch.update(ref, updates);
+      recordAudit(req, {
+        action: "category.update",
+        targetType: "category",
+        targetId: ref.id,
+        before: snap.data(),
+        after: { ...snap.data(), ...updates },
+      }, batch);
+      await batch.commit();
+      res.status(200).json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.delete("/admin/categories/:id", requireAdmin, async (req, res) => {
+    try {
+      const ref = db.collection(CATEGORIES).doc(req.params.id);
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: "A megadott kategória nem létezik" });
+
+      const countSnap = await db.collection(EVENTS).where("category", "==", ref.id).count().get();
+      const eventCount = countSnap.data().count;
+      if (eventCount > 0) return res.status(409).json({ error: "A kategóriát események használják", eventCount });
+
+      const batch = db.batch();
+      batch.delete(ref);
+      recordAudit(req, { action: "category.delete", targetType: "category", targetId: ref.id, before: snap.data() }, batch);
+      await batch.commit();
+      res.status(200).json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- COMMENT MODERATION --------------------
+  // A bejelentett hozzászólások sora (admin / moderátor): jóváhagyás (visible), elrejtés (hidden),
+  // vagy végleges törlés. A döntés után a hozzászólás kikerül a sorból (flagged: false).
+
+  const COMMENT_QUEUES = {
+    flagged: () => db.collection(COMMENTS).where("flagged", "==", true).orderBy("lastReportedAt", "desc"),
+    hidden: () => db.collection(COMMENTS).where("status", "==", "hidden").orderBy("createdAt", "desc"),
+  };
+
+  // ── GET /admin/comments?status=flagged|hidden ─────────────────────────────────
+  app.get("/admin/comments", requireModerator, async (req, res) => {
+    try {
+      const status = req.query.status || "flagged";
+      if (!Object.hasOwn(COMMENT_QUEUES, status)) {
+        return res.status(400).json({ error: `status must be one of: ${Object.keys(COMMENT_QUEUES).join(", ")}` });
+      }
+      const page = await pageOptions(req.query, COMMENTS);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const { docs, nextCursor } = await fetchPage(COMMENT_QUEUES[status](), { ...page, matches: (doc) => !isDeleted(doc) });
+      const reports = {};
+      const ids = docs.map((doc) => doc.id);
+      for (let i = 0; i < ids.length; i += 30) {
+        const snap = await db.collection(COMMENT_REPORTS).where("commentId", "in", ids.slice(i, i + 30)).get();
+        snap.docs.forEach((doc) => {
+          const { commentId, uid, reason, createdAt } = doc.data();
+          (reports[commentId] ||= []).push({ uid, reason, createdAt: toIso(createdAt) });
+        });
+      }
+      const comments = docs.map((doc) => ({ ...serializeDoc(commentView, doc, "admin"), reports: reports[doc.id] || [] }));
+      res.status(200).json({ status, count: comments.length, comments, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── PUT /admin/comments/:id ───────────────────────────────────────────────────
+  app.put("/admin/comments/:id", requireModerator, validateBody(commentModerationSchema), async (req, res) => {
+    try {
+      const ref = db.collection(COMMENTS).doc(req.params.id);
+      const snap = await ref.get();
+      if (!isLive(snap)) return res.status(404).json({ error: "A hozzászólás nem található" });
+
+      const updates = { status: req.body.status, flagged: false, moderatedBy: req.user.uid, moderatedAt: FieldValue.serverTimestamp() };
+      const batch = db.batch();
+      batch.update(ref, updates);
+      recordAudit(req, {
+        action: "comment.moderate",
+        targetType: "comment",
+        targetId: ref.id,
+        before: { status: snap.data().status, flagged: snap.data().flagged },
+        after: { status: updates.status, flagged: false },
+        meta: { eventId: snap.data().eventId, reportCount: snap.data().reportCount || 0 },
+      }, batch);
+      await batch.commit();
+      res.status(200).json({ ok: true, status: updates.status });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── DELETE /admin/comments/:id ────────────────────────────────────────────────
+  app.delete("/admin/comments/:id", requireModerator, async (req, res) => {
+    try {
+      const snap = await db.collection(COMMENTS).doc(req.params.id).get();
+      if (!snap.exists) return res.status(404).json({ error: "A hozzászólás nem található" });
+
+      const deleted = await deleteCommentThreads([snap]);
+      await recordAudit(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: snap.id,
+        before: snap.data(),
+        meta: { eventId: snap.data().eventId, deleted },
+      });
+      res.status(200).json({ ok: true, deleted });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- TRASH --------------------
+  // Lomtár: a soft delete-tel törölt események és userek listázása, visszaállítása és végleges
+  // törlése (csak admin).
+
+  const RESTORED = () => ({ deletedAt: FieldValue.delete(), deletedBy: FieldValue.delete() });
+
+  // Végleges törlés: az esemény, a jelentkezései, az értékelései, a hozzászólásai és a már nem
+  // használt képei
+  async function purgeEvent(req, eventDoc) {
+    const commentsSnap = await db.collection(COMMENTS).where("eventId", "==", eventDoc.id).get();
+    const comments = await deleteCommentThreads(commentsSnap.docs);
+
+    const [regSnap, ratingsSnap] = await Promise.all([
+      db.collection(REGISTRATIONS).where("eventId", "==", eventDoc.id).get(),
+      db.collection(RATINGS).where("eventId", "==", eventDoc.id).get(),
+    ]);
+    // Batch-enként max. 500 írás; az esemény dokumentuma és a napló az utolsó batch-be kerül
+    const owned = [...regSnap.docs, ...ratingsSnap.docs];
+    for (let i = 0; i < owned.length; i += 400) {
+      const batch = db.batch();
+      owned.slice(i, i + 400).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    const batch = db.batch();
+    batch.delete(eventDoc.ref);
+    recordAudit(req, {
+      action: "event.purge",
+      targetType: "event",
+      targetId: eventDoc.id,
+      before: eventDoc.data(),
+      meta: { registrations: regSnap.size, ratings: ratingsSnap.size, comments },
+    }, batch);
+    await batch.commit();
+    await discardImages(eventImageRefs(eventDoc.data()), eventDoc.data().ownerUid);
+  }
+
+  // Végleges törlés: a user eseményei (purgeEvent), jelentkezései, értékelései, hozzászólásai,
+  // naptár feedjei, képei, a user dokumentum és az auth fiók
+  async function purgeUser(req, userDoc) {
+    const uid = userDoc.id;
+
+    // 1. Saját események
+    const eventsSnap = await db.collection(EVENTS).where("ownerUid", "==", uid).get();
+    for (const eventDoc of eventsSnap.docs) await purgeEvent(req, eventDoc);
+
+    // 2. A userhez tartozó regisztrációk törlése (más eseményekre) – eseményenként tranzakcióban,
+    //    hogy a számlálók frissüljenek és a felszabaduló helyre előlépjen a várólista
+    const userRegsSnap = await db.collection(REGISTRATIONS).where("uid", "==", uid).get();
+    for (const regDoc of userRegsSnap.docs) {
+      await db.runTransaction(async (tx) => {
+        const regSnap = await tx.get(regDoc.ref);
+        if (!regSnap.exists) return;
+        await rebalanceSeats(tx, regSnap.data().eventId, regSnap);
+      });
+    }
+    await publishRegistrationChanged([...new Set(userRegsSnap.docs.map((doc) => doc.data().eventId))]);
+
+    // 3. A user értékelései (más eseményeken): az esemény számlálóiból is kivesszük őket
+    const ratingsSnap = await db.collection(RATINGS).where("uid", "==", uid).get();
+    for (const ratingDoc of ratingsSnap.docs) {
+      const eventRef = db.collection(EVENTS).doc(ratingDoc.data().eventId);
+      await db.runTransaction(async (tx) => {
+        const [ratingSnap, eventSnap] = await Promise.all([tx.get(ratingDoc.ref), tx.get(eventRef)]);
+        if (!ratingSnap.exists) return;
+        tx.delete(ratingDoc.ref);
+        if (!eventSnap.exists) return;
+        const { ratingSum = 0, ratingCount = 0 } = eventSnap.data();
+        tx.update(eventRef, { ratingSum: ratingSum - ratingSnap.data().rating, ratingCount: Math.max(ratingCount - 1, 0) });
+      });
+    }
+
+    // 4. A user hozzászólásai (más eseményeken) a rájuk érkezett válaszokkal együtt
+    const commentsSnap = await db.collection(COMMENTS).where("uid", "==", uid).get();
+    await deleteCommentThreads(commentsSnap.docs);
+
+    // 5. Naptár feed tokenek + Firestore user doc törlése
+    const feedsSnap = await db.collection(CALENDAR_FEEDS).where("uid", "==", uid).get();
+    const batch = db.batch();
+    feedsSnap.docs.forEach((doc) => batch.delete(doc.ref));
+    batch.delete(userDoc.ref);
+    recordAudit(req, {
+      action: "user.purge",
+      targetType: "user",
+      targetId: uid,
+      before: userDoc.data(),
+      meta: { purgedEvents: eventsSnap.docs.map((doc) => doc.id), cancelledRegistrations: userRegsSnap.size },
+    }, batch);
+    await batch.commit();
+
+    // 6. Képek: a profilkép és a user többi feltöltése (ha más esemény nem hivatkozik rájuk)
+    const uploadsSnap = await db.collection(IMAGES).where("ownerUid", "==", uid).get();
+    await discardImages(uploadsSnap.docs.map((doc) => ({ key: doc.id, id: doc.id })), uid);
+    await discardPhoto(userDoc.data().photoURL, uid);
+
+    // 7. Firebase Auth fiók törlése
+    try {
+      await auth.deleteUser(uid);
+    } catch (authErr) {
+      // Ha már nem létezik az auth-ban, nem baj
+      console.warn("Auth delete warning:", authErr.message);
+    }
+  }
+
+  // ── GET /admin/trash ──────────────────────────────────────────────────────────
+  // ?type=events (alapértelmezett) | users; a legutóbb törölt elöl, lapozható (limit, cursor)
+  app.get("/admin/trash", requireAdmin, async (req, res) => {
+    try {
+      const type = req.query.type || "events";
+      if (!TRASH_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of: ${TRASH_TYPES.join(", ")}` });
+      const collectionName = type === "events" ? EVENTS : USERS;
+      const page = await pageOptions(req.query, collectionName);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const { docs, nextCursor } = await fetchPage(db.collection(collectionName).orderBy("deletedAt", "desc"), page);
+      const items = docs.map((doc) => {
+        const { deletedAt, deletedBy } = doc.data();
+        const item =
+          type === "events"
+            ? { ...eventFromDoc(doc, "admin"), deletedWithUser: doc.data().deletedWithUser ?? null }
+            : { uid: doc.id, ...serialize(userView, doc.data(), "admin") };
+        return { ...item, deletedAt: toIso(deletedAt), deletedBy };
+      });
+      res.status(200).json({ type, count: items.length, items, limit: page.limit, nextCursor });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/trash/events/:id/restore ──────────────────────────────────────
+  // A userrel együtt törölt esemény csak a userrel együtt állítható vissza
+  app.post("/admin/trash/events/:id/restore", requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const eventRef = db.collection(EVENTS).doc(id);
+      const eventSnap = await eventRef.get();
+      if (!eventSnap.exists || !isDeleted(eventSnap)) return res.status(404).json({ error: "Nincs ilyen esemény a lomtárban" });
+
+      const { deletedWithUser } = eventSnap.data();
+      if (deletedWithUser && isDeleted(await db.collection(USERS).doc(deletedWithUser).get())) {
+        return res.status(409).json({ error: "Az esemény a szervezőjével együtt törlődött, előbb a usert kell visszaállítani" });
+      }
+
+      const batch = db.batch();
+      batch.update(eventRef, { ...RESTORED(), deletedWithUser: FieldValue.delete() });
+      recordAudit(req, { action: "event.restore", targetType: "event", targetId: id, meta: { title: eventSnap.data().title } }, batch);
+      await batch.commit();
+      await publishEventUpdated([id]);
+      res.status(200).json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/trash/users/:uid/restore ──────────────────────────────────────
+  // A user, az auth fiókja és a vele együtt törölt eseményei és hozzászólásai visszaállítása
+  app.post("/admin/trash/users/:uid/restore", requireAdmin, async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const userRef = db.collection(USERS).doc(uid);
+      const userSnap = await userRef.get();
+      if (!userSnap.exists || !isDeleted(userSnap)) return res.status(404).json({ error: "Nincs ilyen user a lomtárban" });
+
+      const [eventsSnap, commentsSnap, ratingsSnap] = await Promise.all([
+        db.collection(EVENTS).where("deletedWithUser", "==", uid).get(),
+        db.collection(COMMENTS).where("deletedWithUser", "==", uid).get(),
+        db.collection(RATINGS).where("deletedWithUser", "==", uid).get(),
+      ]);
+      const owned = [...eventsSnap.docs, ...commentsSnap.docs, ...ratingsSnap.docs];
+      for (let i = 0; i < owned.length; i += 400) {
+        const batch = db.batch();
+        owned.slice(i, i + 400).forEach((doc) => batch.update(doc.ref, { ...RESTORED(), deletedWithUser: FieldValue.delete() }));
+        await batch.commit();
+      }
+      const restoredEvents = eventsSnap.docs.map((doc) => doc.id);
+
+      const batch = db.batch();
+      batch.update(userRef, RESTORED());
+      recordAudit(req, { action: "user.restore", targetType: "user", targetId: uid, meta: { restoredEvents } }, batch);
+      await batch.commit();
+      await auth.updateUser(uid, { disabled: false });
+      await publishEventUpdated(restoredEvents);
+
+      res.status(200).json({ ok: true, restoredEvents });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ── POST /admin/trash/purge ───────────────────────────────────────────────────
+  // Az olderThanDays napnál (alapból TRASH_RETENTION_DAYS, 30) régebben törölt események és userek
+  // végleges törlése. ?dryRun=true esetén csak listáz. Ütemezetten (cron) is hívható.
+  app.post("/admin/trash/purge", requireAdmin, async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      const olderThanDays = req.query.olderThanDays === undefined ? trashRetentionDays : Number(req.query.olderThanDays);
+      if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+        return res.status(400).json({ error: "olderThanDays must be a non-negative number" });
+      }
+
+      const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+      const [eventsSnap, usersSnap] = await Promise.all([
+        db.collection(EVENTS).where("deletedAt", "<=", cutoff).get(),
+        db.collection(USERS).where("deletedAt", "<=", cutoff).get(),
+      ]);
+
+      if (!dryRun) {
+        for (const eventDoc of eventsSnap.docs) await purgeEvent(req, eventDoc);
+        for (const userDoc of usersSnap.docs) await purgeUser(req, userDoc);
+      }
+
+      res.status(200).json({
+        ok: true,
+        dryRun,
+        olderThanDays,
+        events: eventsSnap.docs.map((doc) => doc.id),
+        users: usersSnap.docs.map((doc) => doc.id),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // -------------------- CRON --------------------
+  // Ütemezett feladatok: a Vercel cron (vercel.json "crons") hívja őket, a cronSecret-tel
+
+  function requireCron(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+    const expected = Buffer.from(cronSecret || "");
+    const given = Buffer.from(token);
+    // Időben állandó összehasonlítás, hogy a titok ne legyen kitalálható a válaszidőből
+    if (!cronSecret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "Invalid cron secret" });
+    }
+    return next();
+  }
+
+  // ── POST /internal/cron/reminders ─────────────────────────────────────────────
+  // Emlékeztetők a 24 órán / 1 órán belül kezdődő eseményekről (reminders.js). Akárhányszor
+  // hívható, minden emlékeztető egyszer megy ki. A Vercel cron GET-tel hív, ezért az is működik.
+  async function handleReminders(req, res) {
+    try {
+      if (!mailTransport) return res.status(503).json({ error: "Nincs beállítva e-mail küldés (MAIL_TRANSPORT)" });
+      const summary = await sendReminders({ db, FieldValue, notifier });
+      res.status(200).json({ ok: true, ...summary });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+  app.post("/internal/cron/reminders", requireCron, handleReminders);
+  app.get("/internal/cron/reminders", requireCron, handleReminders);
+
+  // ── POST /internal/cron/notifications ─────────────────────────────────────────
+  // Az outboxban maradt értesítések kiküldése (notifications.js drainOutbox), ha a kérés utáni
+  // háttérküldés nem futott le vagy hibázott
+  async function handleNotifications(req, res) {
+    try {
+      if (!mailTransport) return res.status(503).json({ error: "Nincs beállítva e-mail küldés (MAIL_TRANSPORT)" });
+      const summary = await notifier.drainOutbox();
+      res.status(200).json({ ok: true, ...summary });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+  app.post("/internal/cron/notifications", requireCron, handleNotifications);
+  app.get("/internal/cron/notifications", requireCron, handleNotifications);
+
+  return app;
+}
@@ -0,0 +1,1424 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { createApp } from "./app.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { createMemoryAuth } from "./memoryAuth.js";
+import { createLocalDiskProvider } from "./images.js";
+import { rolesOf } from "./roles.js";
+
+// --- A valódi app memóriában futó adatbázissal és auth-tal ---
+function setup(options = {}) {
+  const storage = createMemoryStorage();
+  const auth = createMemoryAuth();
+  const app = createApp({ storage, auth, ...options });
+  const { db } = storage;
+
+  // Auth fiók (szerepkör claim-ekkel) + users dokumentum, visszaadja a Bearer tokent
+  async function signUp(uid, { isAdmin = false, roles = isAdmin ? ["admin"] : [] } = {}) {
+    const email = `${uid}@example.com`;
+    await auth.createUser({ uid, email, displayName: uid });
+    await auth.setCustomUserClaims(uid, { roles });
+    await db.collection("users").doc(uid).set({ name: uid, email, isAdmin: roles.includes("admin"), roles });
+    return auth.issueToken(uid);
+  }
+
+  return { app, db, auth, signUp };
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+async function createEvent(app, token, body = {}) {
+  const res = await request(app)
+    .post("/events")
+    .set(bearer(token))
+    .send({ title: "Koncert", date: "2026.06.01", time: "18:00", ...body });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+// ---------------------------
+// IMAGES
+// ---------------------------
+describe("képek", () => {
+  const LIMITS = { maxBytes: 100 * 1024, minDimension: 50, maxDimension: 3000 };
+  let dir;
+  let ctx;
+  let png;
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    const local = createLocalDiskProvider({ dir, baseUrl: "http://localhost" });
+    ctx = setup({ imageProviders: { local }, imageProvider: "local", imageLimits: LIMITS });
+    png = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#c00" } }).png().toBuffer();
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const pathOf = (url) => new URL(url).pathname;
+
+  it("token nélkül 401, kép nélkül 400", async () => {
+    const token = await ctx.signUp("anna");
+    expect((await request(ctx.app).post("/api/uploadImage").attach("image", png, "a.png")).status).toBe(401);
+    const res = await request(ctx.app).post("/api/uploadImage").set(bearer(token)).send({});
+    expect(res.status).toBe(400);
+  });
+
+  it("multipart feltöltés: id-t és változatokat ad, a rekord a feltöltőhöz tartozik", async () => {
+    const token = await ctx.signUp("anna");
+    const res = await request(ctx.app).post("/api/uploadImage").set(bearer(token)).attach("image", png, "a.png");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ width: 800, height: 600 });
+    expect(Object.keys(res.body.variants)).toEqual(["thumbnail", "card", "full"]);
+    expect(res.body.url).toBe(res.body.variants.full);
+    expect(res.body.url).toMatch(/^http:\/\/localhost\/uploads\/events\/.+\.webp$/);
+    const record = (await ctx.db.collection("images").doc(res.body.id).get()).data();
+    expect(record).toMatchObject({ ownerUid: "anna", provider: "local", purpose: "event", url: res.body.url });
+    expect(record.variants.thumbnail).toMatchObject({ width: 200, height: 200 });
+
+    const served = await request(ctx.app).get(pathOf(res.body.variants.thumbnail));
+    expect(served.status).toBe(200);
+    expect((await sharp(served.body).metadata()).width).toBe(200);
+  });
+
+  it("a tartalom alapján ellenőriz: a képnek álcázott szöveg 415, a túl nagy fájl 413", async () => {
+    const token = await ctx.signUp("anna");
+    const fake = await request(ctx.app)
+      .post("/api/uploadImage")
+      .set(bearer(token))
+      .attach("image", Buffer.from("<script>alert(1)</script>"), { filename: "a.png", contentType: "image/png" });
+    expect(fake.status).toBe(415);
+
+    const huge = await request(ctx.app).post("/api/uploadImage").set(bearer(token)).attach("image", Buffer.alloc(LIMITS.maxBytes + 1), "b.png");
+    expect(huge.status).toBe(413);
+    const hugeBase64 = await request(ctx.app)
+      .post("/api/uploadProfile")
+      .set(bearer(token))
+      .send({ image: `data:image/png;base64,${Buffer.alloc(LIMITS.maxBytes * 2).toString("base64")}` });
+    expect(hugeBase64.status).toBe(413);
+  });
+
+  it("profilkép base64 data URL-ből a régi útvonalon", async () => {
+    const token = await ctx.signUp("anna");
+    const res = await request(ctx.app)
+      .post("/api/uploadProfile")
+      .set(bearer(token))
+      .send({ image: `data:image/png;base64,${png.toString("base64")}` });
+
+    expect(res.status).toBe(200);
+    expect(res.body.url).toMatch(/\/uploads\/profile_pics\//);
+  });
+
+  it("az esemény képeibe a szerver írja be a változatokat az id alapján", async () => {
+    const token = await ctx.signUp("anna");
+    const { body: image } = await request(ctx.app).post("/api/uploadImage").set(bearer(token)).attach("image", png, "a.png");
+
+    const { id } = await createEvent(ctx.app, token, { images: [{ id: image.id }] });
+    const event = (await request(ctx.app).get(`/events/${id}`)).body;
+    expect(event.images).toEqual([{ id: image.id, url: image.url, variants: image.variants }]);
+    expect(event.imageUrl).toBe(image.url);
+
+    const missing = await request(ctx.app).post("/events").set(bearer(token)).send({ title: "X", images: [{ id: "nincs" }] });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors[0].field).toBe("images[0].id");
+  });
+
+  it("csak a saját kép törölhető, a törlés minden változatot eltávolít", async () => {
+    const anna = await ctx.signUp("anna");
+    const bela = await ctx.signUp("bela");
+    const { body } = await request(ctx.app).post("/api/uploadImage").set(bearer(anna)).attach("image", png, "a.png");
+
+    expect((await request(ctx.app).post("/api/deleteImage").set(bearer(bela)).send({ id: body.id })).status).toBe(403);
+    expect((await request(ctx.app).post("/api/deleteImage").set(bearer(anna)).send({ id: body.id })).status).toBe(200);
+    expect((await ctx.db.collection("images").doc(body.id).get()).exists).toBe(false);
+    for (const url of Object.values(body.variants)) {
+      expect((await request(ctx.app).get(pathOf(url))).status).toBe(404);
+    }
+    expect((await request(ctx.app).post("/api/deleteImage").set(bearer(anna)).send({ id: body.id })).status).toBe(404);
+  });
+
+  const upload = async (token, route = "/api/uploadImage") =>
+    (await request(ctx.app).post(route).set(bearer(token)).attach("image", png, "a.png")).body;
+  const exists = async (image) => (await ctx.db.collection("images").doc(image.id).get()).exists;
+
+  it("a lecserélt kép azonnal, a törölt eseményé a végleges törléskor törlődik; a sorozat közös képe az utolsóval", async () => {
+    const token = await ctx.signUp("anna");
+    const admin = await ctx.signUp("admin", { isAdmin: true });
+    const purge = () => request(ctx.app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(admin));
+    const [first, second] = [await upload(token), await upload(token)];
+    const { id, occurrenceIds } = await createEvent(ctx.app, token, {
+      images: [{ id: first.id }],
+      recurrence: { freq: "weekly", count: 2 },
+    });
+
+    await request(ctx.app).put(`/events/${id}`).set(bearer(token)).send({ title: "Koncert", images: [{ id: second.id }] });
+    expect(await exists(first)).toBe(true); // a második alkalom még használja
+
+    await request(ctx.app).delete(`/events/${occurrenceIds[1]}`).set(bearer(token));
+    expect(await exists(first)).toBe(true); // a lomtárból még visszaállítható
+    await purge();
+    expect(await exists(first)).toBe(false);
+    expect((await request(ctx.app).get(pathOf(first.url))).status).toBe(404);
+
+    await request(ctx.app).delete(`/events/${id}`).set(bearer(token));
+    await purge();
+    expect(await exists(second)).toBe(false);
+  });
+
+  it("a képeket nem küldő szerkesztés megtartja a képeket", async () => {
+    const token = await ctx.signUp("anna");
+    const moderator = await ctx.signUp("mod", { roles: ["moderator"] });
+    const image = await upload(token);
+    const { id } = await createEvent(ctx.app, token, { images: [{ id: image.id }] });
+
+    await request(ctx.app).put(`/events/${id}`).set(bearer(token)).send({ title: "Koncert" });
+    await request(ctx.app).put(`/admin/events/${id}`).set(bearer(moderator)).send({ title: "Koncert 2" });
+    const event = (await request(ctx.app).get(`/events/${id}`)).body;
+    expect(event).toMatchObject({ title: "Koncert 2", imageUrl: image.url });
+    expect(event.images).toEqual([{ id: image.id, url: image.url, variants: image.variants }]);
+    expect(await exists(image)).toBe(true);
+    expect((await request(ctx.app).get(pathOf(image.url))).status).toBe(200);
+  });
+
+  it("csak a saját, eseményképnek feltöltött kép id-je adható meg", async () => {
+    const anna = await ctx.signUp("anna");
+    const bela = await ctx.signUp("bela");
+    const moderator = await ctx.signUp("mod", { roles: ["moderator"] });
+    const image = await upload(anna);
+    const photo = await upload(anna, "/api/uploadProfile");
+
+    for (const [token, id] of [[bela, image.id], [anna, photo.id]]) {
+      const res = await request(ctx.app).post("/events").set(bearer(token)).send({ title: "X", images: [{ id }] });
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toEqual({ field: "images[0].id", message: "images[0].id is not an event image uploaded by the organizer" });
+    }
+
+    // A moderátor a szervező képeit adhatja meg, a sajátját nem
+    const event = await createEvent(ctx.app, anna);
+    const edit = (images) => request(ctx.app).put(`/admin/events/${event.id}`).set(bearer(moderator)).send({ title: "X", images });
+    expect((await edit([{ id: image.id }])).status).toBe(200);
+    expect((await edit([{ id: (await upload(moderator)).id }])).status).toBe(400);
+  });
+
+  it("más feltöltését nem törli, ha az eseményéből kiveszi vagy az esemény véglegesen törlődik", async () => {
+    const anna = await ctx.signUp("anna");
+    const bela = await ctx.signUp("bela");
+    const admin = await ctx.signUp("admin", { isAdmin: true });
+    const image = await upload(anna);
+    // Id-vel nem, csak a (régi kliensek által küldött) url-lel hivatkozhat rá
+    const { id } = await createEvent(ctx.app, bela, { images: [{ url: image.url }] });
+    const other = await createEvent(ctx.app, bela, { images: [{ url: image.url }] });
+
+    await request(ctx.app).put(`/events/${other.id}`).set(bearer(bela)).send({ title: "Kép nélkül", images: [] });
+    await request(ctx.app).delete(`/events/${id}`).set(bearer(bela));
+    await request(ctx.app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(admin));
+    expect(await exists(image)).toBe(true);
+  });
+
+  it("a kliens küldte delete_url-re (pl. belső címre) nem küld kérést", async () => {
+    const imgbb = { name: "imgbb", remove: vi.fn() };
+    const { app, signUp } = setup({ imageProviders: { imgbb } });
+    const anna = await signUp("anna");
+    const moderator = await signUp("mod", { roles: ["moderator"] });
+    const imagesAt = (url) => [{ url, delete_url: "http://169.254.169.254/latest/meta-data/" }];
+    const own = await createEvent(app, anna, { images: imagesAt("https://a.example/x.jpg") });
+    const moderated = await createEvent(app, anna, { images: imagesAt("https://a.example/y.jpg") });
+
+    await request(app).put(`/events/${own.id}`).set(bearer(anna)).send({ title: "Kép nélkül", images: [] });
+    await request(app).put(`/admin/events/${moderated.id}`).set(bearer(moderator)).send({ title: "Kép nélkül", images: [] });
+    expect((await request(app).get(`/events/${moderated.id}`)).body.images).toEqual([]);
+    expect(imgbb.remove).not.toHaveBeenCalled();
+  });
+
+  it("user végleges törlésekor a profilképe és a feltöltései is törlődnek", async () => {
+    const anna = await ctx.signUp("anna");
+    const admin = await ctx.signUp("admin", { isAdmin: true });
+    const photo = await upload(anna, "/api/uploadProfile");
+    const unused = await upload(anna);
+    await request(ctx.app).put("/users/me").set(bearer(anna)).send({ photoURL: photo.url });
+
+    expect((await request(ctx.app).delete("/admin/users/anna").set(bearer(admin))).status).toBe(200);
+    expect(await exists(photo)).toBe(true);
+    await request(ctx.app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(admin));
+    expect(await exists(photo)).toBe(false);
+    expect(await exists(unused)).toBe(false);
+  });
+
+  it("más képét nem törli, ha a profilképe vagy az admin által szerkesztett esemény hivatkozik rá", async () => {
+    const anna = await ctx.signUp("anna");
+    const bela = await ctx.signUp("bela");
+    const admin = await ctx.signUp("admin", { isAdmin: true });
+    const photo = await upload(bela, "/api/uploadProfile");
+    const eventImage = await upload(bela);
+    await request(ctx.app).put("/users/me").set(bearer(bela)).send({ photoURL: photo.url });
+    await request(ctx.app).put("/users/me").set(bearer(anna)).send({ photoURL: photo.url });
+    const { id } = await createEvent(ctx.app, anna, { images: [{ url: eventImage.url }] });
+
+    await request(ctx.app).put(`/admin/events/${id}`).set(bearer(admin)).send({ title: "Kép nélkül", images: [] });
+    expect(await exists(eventImage)).toBe(true);
+
+    await request(ctx.app).delete("/admin/users/anna").set(bearer(admin));
+    await request(ctx.app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(admin));
+    expect(await exists(photo)).toBe(true);
+
+    // Béla lecseréli: a régi profilképét már senki nem használja
+    await request(ctx.app).put("/users/me").set(bearer(bela)).send({ photoURL: eventImage.url });
+    expect(await exists(photo)).toBe(false);
+  });
+
+  it("reconcile: dryRun csak listáz, utána az árva rekordok és fájlok törlődnek, a frisseket kihagyja", async () => {
+    const anna = await ctx.signUp("anna");
+    const admin = await ctx.signUp("admin", { isAdmin: true });
+    const used = await upload(anna);
+    const orphan = await upload(anna);
+    await createEvent(ctx.app, anna, { images: [{ id: used.id }] });
+    fs.mkdirSync(path.join(dir, "events"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "events", "stray.webp"), png);
+
+    const fresh = await request(ctx.app).post("/admin/images/reconcile").set(bearer(admin));
+    expect(fresh.body).toMatchObject({ records: [], hosted: [] });
+
+    const dry = await request(ctx.app).post("/admin/images/reconcile").query({ dryRun: "true", minAgeHours: 0 }).set(bearer(admin));
+    expect(dry.status).toBe(200);
+    expect(dry.body).toMatchObject({ ok: true, dryRun: true, records: [orphan.id], failed: [] });
+    expect(dry.body.hosted).toEqual([{ provider: "local", providerId: "events/stray.webp", url: "http://localhost/uploads/events/stray.webp" }]);
+    expect(await exists(orphan)).toBe(true);
+
+    await request(ctx.app).post("/admin/images/reconcile").query({ minAgeHours: 0 }).set(bearer(admin));
+    expect(await exists(orphan)).toBe(false);
+    expect(await exists(used)).toBe(true);
+    expect(fs.existsSync(path.join(dir, "events", "stray.webp"))).toBe(false);
+
+    const bad = await request(ctx.app).post("/admin/images/reconcile").query({ minAgeHours: "x" }).set(bearer(admin));
+    expect(bad.status).toBe(400);
+  });
+});
+
+// ---------------------------
+// USERS
+// ---------------------------
+describe("users", () => {
+  it("regisztráció után létrejön az auth fiók és a profil", async () => {
+    const { app, db, auth } = setup();
+
+    const res = await request(app).post("/users/register").send({ name: " Anna ", email: "anna@example.com", password: "titok123" });
+    expect(res.status).toBe(201);
+
+    const profile = (await db.collection("users").doc(res.body.uid).get()).data();
+    expect(profile).toMatchObject({ name: "Anna", email: "anna@example.com" });
+    expect((await auth.getUser(res.body.uid)).displayName).toBe("Anna");
+
+    const again = await request(app).post("/users/register").send({ name: "Anna", email: "anna@example.com", password: "titok123" });
+    expect(again.status).toBe(409);
+  });
+
+  it("GET /users/me a saját profilt adja, token nélkül 401", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+
+    expect((await request(app).get("/users/me")).status).toBe(401);
+    const res = await request(app).get("/users/me").set(bearer(token));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: "anna", name: "anna" });
+  });
+
+  it("a névjegyzék nem ad ki emailt", async () => {
+    const { app, signUp } = setup();
+    await signUp("anna");
+
+    const res = await request(app).get("/users");
+    expect(res.body.users).toEqual([{ id: "anna", name: "anna" }]);
+  });
+});
+
+// ---------------------------
+// EVENTS CRUD
+// ---------------------------
+describe("events CRUD", () => {
+  it("létrehozás, listázás, lekérés, módosítás és törlés", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+
+    const { id } = await createEvent(app, token, { location: "Győr", capacity: 10 });
+
+    const list = await request(app).get("/events");
+    expect(list.status).toBe(200);
+    expect(list.body.events.map((e) => e.id)).toEqual([id]);
+    expect(list.body.events[0]).not.toHaveProperty("searchKeywords");
+
+    const detail = await request(app).get(`/events/${id}`);
+    expect(detail.body).toMatchObject({
+      title: "Koncert",
+      ownerUid: "anna",
+      startsAt: "2026-06-01T16:00:00.000Z",
+      timeZone: "Europe/Budapest",
+      registrationCount: 0,
+    });
+
+    const updated = await request(app).put(`/events/${id}`).set(bearer(token)).send({ title: "Jazz est", date: "2026.06.02", time: "19:00" });
+    expect(updated.status).toBe(200);
+    expect((await request(app).get("/events").query({ q: "jazz" })).body.events.map((e) => e.id)).toEqual([id]);
+
+    const deleted = await request(app).delete(`/events/${id}`).set(bearer(token));
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(`/events/${id}`)).status).toBe(404);
+  });
+
+  it("a szervező emailjét és a képek delete_url-jeit nem adja ki, a szervező látja az emailjét", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+    const images = [{ url: "https://i.ibb.co/a.jpg", delete_url: "https://ibb.co/a/del" }];
+    const { id } = await createEvent(app, token, { images });
+
+    const detail = (await request(app).get(`/events/${id}`)).body;
+    expect(detail.images).toEqual([{ url: "https://i.ibb.co/a.jpg" }]);
+    for (const event of [detail, (await request(app).get("/events")).body.events[0]]) {
+      expect(event).not.toHaveProperty("ownerEmail");
+      expect(event).not.toHaveProperty("imageDeleteUrl");
+      expect(event).not.toHaveProperty("imageKeys");
+    }
+    const [mine] = (await request(app).get("/events/mine").set(bearer(token))).body.events;
+    expect(mine).toMatchObject({ id, ownerEmail: "anna@example.com" });
+  });
+
+  it("más eseményét nem lehet módosítani vagy törölni", async () => {
+    const { app, signUp } = setup();
+    const owner = await signUp("anna");
+    const other = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+
+    expect((await request(app).put(`/events/${id}`).set(bearer(other)).send({ title: "Enyém" })).status).toBe(403);
+    expect((await request(app).delete(`/events/${id}`).set(bearer(other))).status).toBe(403);
+  });
+
+  it("érvénytelen body-ra mezőszintű hibát ad", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+
+    const res = await request(app).post("/events").set(bearer(token)).send({ title: "X", date: "2026.02.30" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: "date", message: "date is not a valid calendar date" }]);
+  });
+
+  it("ismétlődő esemény alkalmai és a későbbi alkalmak törlése", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+    const { occurrenceIds } = await createEvent(app, token, { recurrence: { freq: "weekly", count: 3 } });
+    expect(occurrenceIds).toHaveLength(3);
+
+    const res = await request(app).delete(`/events/${occurrenceIds[1]}`).query({ scope: "future" }).set(bearer(token));
+    expect(res.body.deleted.sort()).toEqual(occurrenceIds.slice(1).sort());
+    expect((await request(app).get("/events")).body.events.map((e) => e.id)).toEqual([occurrenceIds[0]]);
+  });
+});
+
+// ---------------------------
+// REGISTRATIONS
+// ---------------------------
+describe("jelentkezés", () => {
+  it("betelt eseménynél várólista, leiratkozáskor előléptetés", async () => {
+    const { app, db, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner, { capacity: 1 });
+
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(bela))).body.status).toBe("confirmed");
+    const waitlisted = await request(app).post(`/events/${id}/register`).set(bearer(cili));
+    expect(waitlisted.body).toMatchObject({ status: "waitlisted", position: 1 });
+
+    const left = await request(app).delete(`/events/${id}/register`).set(bearer(bela));
+    expect(left.body.promoted).toEqual(["cili"]);
+
+    const event = (await db.collection("events").doc(id).get()).data();
+    expect(event).toMatchObject({ registrationCount: 1, waitlistCount: 0 });
+    expect((await db.collection("registrations").doc(`cili_${id}`).get()).data().status).toBe("confirmed");
+  });
+
+  it("egyidejű jelentkezéseknél sem lépi túl a létszámot", async () => {
+    const { app, db, signUp } = setup();
+    const owner = await signUp("anna");
+    const tokens = await Promise.all(["u1", "u2", "u3", "u4"].map((uid) => signUp(uid)));
+    const { id } = await createEvent(app, owner, { capacity: 2 });
+
+    const results = await Promise.all(tokens.map((token) => request(app).post(`/events/${id}/register`).set(bearer(token))));
+    expect(results.map((r) => r.body.status).sort()).toEqual(["confirmed", "confirmed", "waitlisted", "waitlisted"]);
+    expect((await db.collection("events").doc(id).get()).data()).toMatchObject({ registrationCount: 2, waitlistCount: 2 });
+  });
+
+  it("a szervező szerkesztése a kimaradt korlátot, kategóriát, címkéket és helyszínt megtartja", async () => {
+    const { app, db, signUp } = setup();
+    const owner = await signUp("anna");
+    const admin = await signUp("admin", { isAdmin: true });
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    await request(app).post("/admin/categories").set(bearer(admin)).send({ name: "Zene" });
+    const place = { lat: 47.4979, lng: 19.054 };
+    const { id } = await createEvent(app, owner, { capacity: 1, category: "zene", tags: ["jazz"], place });
+    for (const token of [bela, cili]) await request(app).post(`/events/${id}/register`).set(bearer(token));
+
+    const edited = await request(app).put(`/events/${id}`).set(bearer(owner)).send({ title: "Új cím", date: "2026.06.01" });
+    expect(edited.body.promoted).toEqual([]);
+    const event = (await db.collection("events").doc(id).get()).data();
+    expect(event).toMatchObject({ title: "Új cím", capacity: 1, category: "zene", tags: ["jazz"], place: { ...place, address: null }, waitlistCount: 1 });
+    expect(event.geohash).toEqual(expect.any(String));
+
+    // A kifejezett null megszünteti a korlátot
+    const unlimited = await request(app).put(`/events/${id}`).set(bearer(owner)).send({ title: "Új cím", capacity: null });
+    expect(unlimited.body.promoted).toEqual(["cili"]);
+  });
+
+  it("a résztvevők listája: szervező és admin teljes, jelentkező keresztnév, mindenki más csak létszám", async () => {
+    const { app, db, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const admin = await signUp("admin", { isAdmin: true });
+    await db.collection("users").doc("bela").update({ name: "Kiss Béla" });
+    const { id } = await createEvent(app, owner);
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    const list = (token) => request(app).get(`/events/${id}/registrations`).set(token ? bearer(token) : {});
+
+    const publicView = await list();
+    expect(publicView.body).toEqual({ registrationCount: 1, waitlistCount: 0, count: 1 });
+    expect((await list(cili)).body).toEqual({ registrationCount: 1, waitlistCount: 0, count: 1 });
+
+    expect((await list(bela)).body.registrations).toEqual([{ firstName: "Béla", status: "confirmed" }]);
+
+    for (const token of [owner, admin]) {
+      const [registration] = (await list(token)).body.registrations;
+      expect(registration).toMatchObject({ uid: "bela", userName: "Kiss Béla", userEmail: "bela@example.com", status: "confirmed" });
+      expect(registration.registeredAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    }
+    expect((await list("rossz-token")).status).toBe(401);
+  });
+});
+
+// ---------------------------
+// PAGINATION
+// ---------------------------
+describe("lapozás", () => {
+  // Végiglapozza a listát a nextCursor-ral: az oldalankénti id-k (users listánál uid / id)
+  async function walk(app, path, { token, key, limit = 2 } = {}) {
+    const pages = [];
+    let cursor;
+    do {
+      const res = await request(app).get(path).query({ limit, ...(cursor && { cursor }) }).set(token ? bearer(token) : {});
+      expect(res.status).toBe(200);
+      pages.push(res.body[key].map((item) => item.id ?? item.uid));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+    return pages;
+  }
+
+  // count esemény közvetlenül az adatbázisba, egymást követő napokon; live(i): nem törölt-e
+  async function seedEvents(db, count, live) {
+    for (let start = 0; start < count; start += 400) {
+      const batch = db.batch();
+      for (let i = start; i < Math.min(start + 400, count); i++) {
+        const date = new Date(Date.UTC(2030, 0, 1 + i)).toISOString().slice(0, 10).replaceAll("-", ".");
+        const ref = db.collection("events").doc(`e${String(i).padStart(4, "0")}`);
+        batch.set(ref, { title: `Esemény ${i}`, date, ownerUid: "anna", ...(!live(i) && { deletedAt: new Date(), deletedBy: "admin" }) });
+      }
+      await batch.commit();
+    }
+  }
+
+  it("/events: a törölt eseményeket átlépve több olvasási körön át is teljes oldalakat ad", async () => {
+    const { app, db } = setup();
+    await seedEvents(db, 250, (i) => i % 10 === 0);
+
+    const pages = await walk(app, "/events?sort=date", { key: "events", limit: 20 });
+    expect(pages.map((page) => page.length)).toEqual([20, 5]);
+    expect(pages.flat()).toEqual(Array.from({ length: 25 }, (_, i) => `e${String(i * 10).padStart(4, "0")}`));
+  });
+
+  it("/events: ha a körök alatt nem telik meg az oldal, üres oldal jön kurzorral, és onnan folytatható", async () => {
+    const { app, db } = setup();
+    await seedEvents(db, 1001, (i) => i === 1000);
+
+    const first = await request(app).get("/events?sort=date");
+    expect(first.body.events).toEqual([]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+    const second = await request(app).get("/events?sort=date").query({ cursor: first.body.nextCursor });
+    expect(second.body.events.map((event) => event.id)).toEqual(["e1000"]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it("/events/mine, /users, /admin/users és a résztvevők listája végiglapozható", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const members = await Promise.all(["bela", "cili", "dani", "edit"].map((uid) => signUp(uid)));
+
+    const events = [];
+    for (const title of ["A", "B", "C", "D"]) events.push((await createEvent(app, owner, { title })).id);
+    await request(app).delete(`/events/${events[1]}`).set(bearer(owner));
+    expect(await walk(app, "/events/mine", { token: owner, key: "events" })).toEqual([[events[3], events[2]], [events[0]]]);
+
+    // Szűrés nélküli lekérdezés: pontosan két teljes oldal, üres harmadik nélkül
+    for (const token of members) await request(app).post(`/events/${events[0]}/register`).set(bearer(token));
+    const regPages = await walk(app, `/events/${events[0]}/registrations`, { token: owner, key: "registrations" });
+    expect(regPages).toEqual([["bela", "cili"], ["dani", "edit"]].map((page) => page.map((uid) => `${uid}_${events[0]}`)));
+
+    await request(app).delete("/admin/users/cili").set(bearer(admin));
+    const expected = [["admin", "anna"], ["bela", "dani"], ["edit"]];
+    expect(await walk(app, "/users", { key: "users" })).toEqual(expected);
+    expect(await walk(app, "/admin/users", { token: admin, key: "users" })).toEqual(expected);
+  });
+
+  it("érvénytelen vagy nem létező dokumentumra mutató kurzor: 400", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const { id } = await createEvent(app, admin);
+    const missing = Buffer.from(JSON.stringify({ id: "nincs" })).toString("base64url");
+
+    for (const path of ["/events", "/events/mine", "/users", `/events/${id}/registrations`, "/admin/users"]) {
+      for (const cursor of ["nem-kurzor", missing]) {
+        const res = await request(app).get(path).query({ cursor }).set(bearer(admin));
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Invalid or expired cursor");
+      }
+    }
+  });
+});
+
+// ---------------------------
+// CATEGORIES & TAGS
+// ---------------------------
+describe("kategóriák és címkék", () => {
+  it("az admin kezeli a kategóriákat; a használt kategória nem törölhető", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const anna = await signUp("anna");
+
+    expect((await request(app).post("/admin/categories").set(bearer(anna)).send({ name: "Sport" })).status).toBe(403);
+    const created = await request(app).post("/admin/categories").set(bearer(admin)).send({ name: "Zene és tánc", order: 2 });
+    expect(created.body).toEqual({ ok: true, id: "zene-es-tanc" });
+    await request(app).post("/admin/categories").set(bearer(admin)).send({ id: "sport", name: "Sport", order: 1 });
+    expect((await request(app).post("/admin/categories").set(bearer(admin)).send({ id: "sport", name: "Sport" })).status).toBe(409);
+    expect((await request(app).post("/admin/categories").set(bearer(admin)).send({ id: "Rossz Id", name: "X" })).status).toBe(400);
+
+    await request(app).put("/admin/categories/sport").set(bearer(admin)).send({ name: "Sport és mozgás" });
+    const list = await request(app).get("/categories");
+    expect(list.body.categories.map(({ id, name }) => ({ id, name }))).toEqual([
+      { id: "sport", name: "Sport és mozgás" },
+      { id: "zene-es-tanc", name: "Zene és tánc" },
+    ]);
+
+    await createEvent(app, anna, { category: "sport" });
+    expect((await request(app).post("/events").set(bearer(anna)).send({ title: "X", date: "2026.06.01", category: "nincs" })).status).toBe(400);
+    const inUse = await request(app).delete("/admin/categories/sport").set(bearer(admin));
+    expect(inUse.status).toBe(409);
+    expect(inUse.body.eventCount).toBe(1);
+    expect((await request(app).delete("/admin/categories/zene-es-tanc").set(bearer(admin))).status).toBe(200);
+    expect((await request(app).get("/admin/audit?action=category.delete").set(bearer(admin))).body.count).toBe(1);
+  });
+
+  it("szűrés kategóriára és címkékre, facetek", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const anna = await signUp("anna");
+    await request(app).post("/admin/categories").set(bearer(admin)).send({ id: "zene", name: "Zene" });
+    await request(app).post("/admin/categories").set(bearer(admin)).send({ id: "sport", name: "Sport" });
+
+    await createEvent(app, anna, { title: "Jazz est", category: "zene", tags: ["Jazz", "élő"] });
+    await createEvent(app, anna, { title: "Rock est", category: "zene", tags: ["rock", "élő"] });
+    await createEvent(app, anna, { title: "Futás", category: "sport", tags: ["ingyenes"] });
+
+    const titles = async (query) => (await request(app).get(`/events?${query}`)).body.events.map((e) => e.title).sort();
+    expect(await titles("category=zene")).toEqual(["Jazz est", "Rock est"]);
+    expect(await titles("tag=%C3%A9l%C5%91")).toEqual(["Jazz est", "Rock est"]);
+    expect(await titles("tag=jazz,%C3%A9l%C5%91")).toEqual(["Jazz est"]);
+    expect(await titles("category=zene&tag=rock&q=est")).toEqual(["Rock est"]);
+
+    const facets = await request(app).get("/events/facets");
+    expect(facets.body.total).toBe(3);
+    expect(facets.body.categories).toEqual([
+      { id: "sport", name: "Sport", count: 1 },
+      { id: "zene", name: "Zene", count: 2 },
+    ]);
+    expect(facets.body.tags[0]).toEqual({ tag: "élő", count: 2 });
+    expect((await request(app).get("/events/facets?category=sport")).body.tags).toEqual([{ tag: "ingyenes", count: 1 }]);
+  });
+});
+
+// ---------------------------
+// NEARBY
+// ---------------------------
+describe("közeli események", () => {
+  it("a közelgő eseményeket távolság szerint adja, a régi szöveges helyszínűeket kihagyja", async () => {
+    const { app, signUp } = setup();
+    const anna = await signUp("anna");
+    const future = { date: "2030.06.01" };
+    await createEvent(app, anna, { ...future, title: "Deák tér", place: { address: "Budapest, Deák Ferenc tér", lat: 47.4979, lng: 19.054 } });
+    await createEvent(app, anna, { ...future, title: "Parlament", place: { lat: 47.507, lng: 19.0456 } });
+    await createEvent(app, anna, { ...future, title: "Debrecen", place: { lat: 47.5316, lng: 21.6273 } });
+    await createEvent(app, anna, { date: "2020.01.01", title: "Régi", place: { lat: 47.507, lng: 19.0456 } });
+    await createEvent(app, anna, { ...future, title: "Csak szöveg", location: "Budapest" });
+
+    const res = await request(app).get("/events/nearby?lat=47.5071&lng=19.0457&radiusKm=5");
+    expect(res.status).toBe(200);
+    expect(res.body.events.map((e) => [e.title, e.distanceKm < 2])).toEqual([["Parlament", true], ["Deák tér", true]]);
+    expect(res.body.events[1]).toMatchObject({ location: "Budapest, Deák Ferenc tér", place: { lat: 47.4979, lng: 19.054 } });
+    expect(res.body.events[1].geohash).toBeUndefined();
+
+    expect((await request(app).get("/events/nearby?lat=47.5&lng=19.05&radiusKm=200")).body.events).toHaveLength(3);
+    expect((await request(app).get("/events/nearby?lat=abc&lng=19")).status).toBe(400);
+    expect((await request(app).post("/events").set(bearer(anna)).send({ title: "X", date: "2030.06.01", place: { lat: 100, lng: 0 } })).status).toBe(400);
+  });
+});
+
+// ---------------------------
+// LIVE UPDATES
+// ---------------------------
+describe("élő frissítések (SSE)", () => {
+  // Valódi szerveren nyitott stream; until(szöveg) megvárja, amíg a szöveg megérkezik
+  function connect(app, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(0, () => {
+        const req = http.get({ port: server.address().port, path, headers }, (res) => {
+          let body = "";
+          const waiting = [];
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            body += chunk;
+            waiting.filter((w) => body.includes(w.text)).forEach((w) => w.resolve(body));
+          });
+          const until = (text) =>
+            body.includes(text) ? Promise.resolve(body) : new Promise((done) => waiting.push({ text, resolve: done }));
+          const close = () => {
+            req.destroy();
+            server.close();
+          };
+          resolve({ res, until, close, body: () => body });
+        });
+        req.on("error", reject);
+      });
+    });
+  }
+
+  it("jelentkezéskor, módosításkor és törléskor üzenetet küld; Last-Event-ID-vel folytatható", async () => {
+    const { app, signUp } = setup({ streamHeartbeatMs: 20 });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner, { capacity: 5 });
+    const other = await createEvent(app, owner, { title: "Másik" });
+
+    const stream = await connect(app, `/events/${id}/stream`);
+    expect(stream.res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    try {
+      await request(app).post(`/events/${other.id}/register`).set(bearer(bela));
+      await request(app).post(`/events/${id}/register`).set(bearer(bela));
+      await stream.until("event: registration.changed");
+      await request(app).put(`/events/${id}`).set(bearer(owner)).send({ title: "Új cím", date: "2026.06.01", capacity: 5 });
+      await stream.until("event: event.updated");
+      await request(app).delete(`/events/${id}`).set(bearer(owner));
+      const body = await stream.until("event: event.deleted");
+      await stream.until(": ping");
+
+      expect(body).toContain(`"registrationCount":1`);
+      expect(body).toContain(`"title":"Új cím"`);
+      expect(body).not.toContain(other.id);
+    } finally {
+      stream.close();
+    }
+
+    // Az első üzenet id-jéről folytatva a későbbiek újra megjönnek, ismeretlen id-nél resync
+    const firstId = /id: (\S+)\nevent: registration.changed/.exec(stream.body())[1];
+    const resumed = await connect(app, "/events/stream", { "Last-Event-ID": firstId });
+    try {
+      await resumed.until("event: event.deleted");
+      expect(resumed.body()).toContain("event: event.updated");
+    } finally {
+      resumed.close();
+    }
+    const unknown = await connect(app, `/events/stream?lastEventId=ismeretlen-1`);
+    try {
+      await unknown.until("event: stream.resync");
+    } finally {
+      unknown.close();
+    }
+    expect((await request(app).get(`/events/${id}/stream`)).status).toBe(404);
+  });
+
+  it("új eseménynél és a jelentkező végleges törlésekor is küld üzenetet", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner, { capacity: 1 });
+    for (const token of [bela, cili]) await request(app).post(`/events/${id}/register`).set(bearer(token));
+    await request(app).delete("/admin/users/bela").set(bearer(admin));
+
+    const stream = await connect(app, "/events/stream");
+    try {
+      const created = await createEvent(app, owner, { title: "Friss" });
+      await stream.until(`"eventId":"${created.id}"`);
+      expect(stream.body()).toContain(`"title":"Friss"`);
+
+      // Béla helyére Cili lép elő a várólistáról
+      await request(app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(admin));
+      const body = await stream.until("event: registration.changed");
+      expect(body).toContain(`"eventId":"${id}","registrationCount":1,"waitlistCount":0`);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("a létszámkorlát növelésekor (szervező és admin) a várólistáról előlépők miatt is küld üzenetet", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const { id } = await createEvent(app, owner, { capacity: 1 });
+    for (const uid of ["bela", "cili", "dani"]) await request(app).post(`/events/${id}/register`).set(bearer(await signUp(uid)));
+
+    const stream = await connect(app, `/events/${id}/stream`);
+    try {
+      await request(app).put(`/events/${id}`).set(bearer(owner)).send({ title: "Koncert", capacity: 2 });
+      await stream.until(`event: registration.changed\ndata: {"eventId":"${id}","registrationCount":2,"waitlistCount":1`);
+      await request(app).put(`/admin/events/${id}`).set(bearer(admin)).send({ title: "Koncert", capacity: 3 });
+      await stream.until(`event: registration.changed\ndata: {"eventId":"${id}","registrationCount":3,"waitlistCount":0`);
+    } finally {
+      stream.close();
+    }
+  });
+});
+
+// ---------------------------
+// COMMENTS
+// ---------------------------
+describe("hozzászólások", () => {
+  const post = (app, token, eventId, body) => request(app).post(`/events/${eventId}/comments`).set(bearer(token)).send(body);
+
+  it("kérdés, válasz, szerkesztés és törlés jogosultságokkal", async () => {
+    const { app, db, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner);
+
+    expect((await request(app).post(`/events/${id}/comments`).send({ text: "Szia" })).status).toBe(401);
+    const question = (await post(app, bela, id, { text: "Lesz parkoló?" })).body;
+    expect(question).toMatchObject({ uid: "bela", authorName: "bela", text: "Lesz parkoló?", parentId: null });
+    expect(question.reportCount).toBeUndefined();
+    const answer = (await post(app, owner, id, { text: "Igen", parentId: question.id })).body;
+    expect((await post(app, cili, id, { text: "x", parentId: answer.id })).status).toBe(400);
+
+    const list = await request(app).get(`/events/${id}/comments`);
+    expect(list.body.comments).toHaveLength(1);
+    expect(list.body.comments[0].replies.map((r) => r.text)).toEqual(["Igen"]);
+
+    const path = `/events/${id}/comments/${question.id}`;
+    expect((await request(app).put(path).set(bearer(cili)).send({ text: "hack" })).status).toBe(403);
+    const edited = await request(app).put(path).set(bearer(bela)).send({ text: "Lesz parkoló a közelben?" });
+    expect(edited.body).toMatchObject({ text: "Lesz parkoló a közelben?", editedAt: expect.any(String) });
+
+    expect((await request(app).delete(path).set(bearer(cili))).status).toBe(403);
+    const removed = await request(app).delete(path).set(bearer(owner));
+    expect(removed.body).toEqual({ ok: true, deleted: 2 });
+    expect((await db.collection("comments").get()).size).toBe(0);
+  });
+
+  it("bejelentés, moderálási sor, elrejtés", async () => {
+    const { app, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const moderator = await signUp("mod", { roles: ["moderator"] });
+    const { id } = await createEvent(app, owner);
+    const comment = (await post(app, bela, id, { text: "Spam" })).body;
+    const report = (token) => request(app).post(`/events/${id}/comments/${comment.id}/report`).set(bearer(token)).send({ reason: "spam" });
+
+    expect((await report(bela)).status).toBe(400);
+    expect((await report(cili)).body.alreadyReported).toBe(false);
+    expect((await report(cili)).body.alreadyReported).toBe(true);
+    await report(owner);
+
+    expect((await request(app).get("/admin/comments").set(bearer(cili))).status).toBe(403);
+    const queue = await request(app).get("/admin/comments").set(bearer(moderator));
+    expect(queue.body.comments).toHaveLength(1);
+    expect(queue.body.comments[0]).toMatchObject({ id: comment.id, reportCount: 2, flagged: true });
+    expect(queue.body.comments[0].reports.map((r) => r.uid).sort()).toEqual(["anna", "cili"]);
+
+    await request(app).put(`/admin/comments/${comment.id}`).set(bearer(moderator)).send({ status: "hidden" });
+    expect((await request(app).get("/admin/comments").set(bearer(moderator))).body.comments).toEqual([]);
+    expect((await request(app).get("/admin/comments?status=hidden").set(bearer(moderator))).body.count).toBe(1);
+    expect((await request(app).get(`/events/${id}/comments`)).body.comments).toEqual([]);
+  });
+
+  it("a user és az esemény törlése a hozzászólásokat is viszi", async () => {
+    const { app, db, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+    const other = await createEvent(app, admin, { title: "Admin eseménye" });
+    await post(app, bela, id, { text: "Béla kérdése" });
+    await post(app, owner, other.id, { text: "Anna kérdése" });
+
+    await request(app).delete("/admin/users/bela").set(bearer(admin));
+    expect((await request(app).get(`/events/${id}/comments`)).body.comments).toEqual([]);
+    await request(app).post("/admin/trash/users/bela/restore").set(bearer(admin));
+    expect((await request(app).get(`/events/${id}/comments`)).body.comments).toHaveLength(1);
+
+    // Anna végleges törlése: a saját eseménye (Béla kérdésével) és a máshol írt hozzászólása is törlődik
+    await request(app).delete("/admin/users/anna").set(bearer(admin));
+    await request(app).post("/admin/trash/purge?olderThanDays=0").set(bearer(admin));
+    expect((await db.collection("comments").get()).size).toBe(0);
+  });
+});
+
+// ---------------------------
+// RATINGS
+// ---------------------------
+describe("értékelések", () => {
+  const rate = (app, token, eventId, body) => request(app).post(`/events/${eventId}/ratings`).set(bearer(token)).send(body);
+
+  it("csak jelentkező, az esemény után, jelentkezésenként egyszer értékelhet", async () => {
+    const { app, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const past = await createEvent(app, owner, { date: "2020.05.01" });
+    const future = await createEvent(app, owner, { date: "2099.05.01" });
+    for (const { id } of [past, future]) await request(app).post(`/events/${id}/register`).set(bearer(bela));
+
+    expect((await rate(app, bela, past.id, { rating: 6 })).status).toBe(400);
+    expect((await rate(app, cili, past.id, { rating: 4 })).status).toBe(403);
+    expect((await rate(app, owner, past.id, { rating: 5 })).status).toBe(403);
+    expect((await rate(app, bela, future.id, { rating: 4 })).status).toBe(422);
+
+    const created = await rate(app, bela, past.id, { rating: 4, review: "Jó volt" });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ uid: "bela", rating: 4, review: "Jó volt", eventRating: { average: 4, count: 1 } });
+    expect((await rate(app, bela, past.id, { rating: 5 })).status).toBe(409);
+
+    const detail = await request(app).get(`/events/${past.id}`);
+    expect(detail.body.rating).toEqual({ average: 4, count: 1 });
+    expect(detail.body.ratingSum).toBeUndefined();
+    expect((await request(app).get(`/events/${future.id}`)).body.rating).toEqual({ average: null, count: 0 });
+
+    const list = await request(app).get(`/events/${past.id}/ratings`);
+    expect(list.body.ratings.map((r) => r.review)).toEqual(["Jó volt"]);
+    expect(list.body.ratings[0].ownerUid).toBeUndefined();
+  });
+
+  it("a szervező profilja az események értékeléseit összesíti", async () => {
+    const { app, signUp } = setup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const first = await createEvent(app, owner, { date: "2020.05.01" });
+    const second = await createEvent(app, owner, { date: "2020.06.01" });
+    for (const token of [bela, cili]) await request(app).post(`/events/${first.id}/register`).set(bearer(token));
+    await request(app).post(`/events/${second.id}/register`).set(bearer(bela));
+    await rate(app, bela, first.id, { rating: 5 });
+    await rate(app, cili, first.id, { rating: 4 });
+    await rate(app, bela, second.id, { rating: 2 });
+
+    const profile = await request(app).get("/organizers/anna");
+    expect(profile.status).toBe(200);
+    expect(profile.body).toMatchObject({ id: "anna", name: "anna", eventCount: 2, rating: { average: 3.7, count: 3 } });
+    expect(profile.body.email).toBeUndefined();
+    expect((await request(app).get("/organizers/nincs")).status).toBe(404);
+  });
+
+  it("a user végleges törlése kiveszi az értékeléseit az összesítésből", async () => {
+    const { app, db, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner, { date: "2020.05.01" });
+    for (const token of [bela, cili]) await request(app).post(`/events/${id}/register`).set(bearer(token));
+    await rate(app, bela, id, { rating: 1, review: "Rossz" });
+    await rate(app, cili, id, { rating: 5 });
+
+    await request(app).delete("/admin/users/bela").set(bearer(admin));
+    const list = await request(app).get(`/events/${id}/ratings`);
+    expect(list.body.ratings.map((r) => r.uid)).toEqual(["cili"]);
+    expect(list.body.rating).toEqual({ average: 3, count: 2 });
+
+    await request(app).post("/admin/trash/purge?olderThanDays=0").set(bearer(admin));
+    expect((await request(app).get(`/events/${id}`)).body.rating).toEqual({ average: 5, count: 1 });
+    expect((await db.collection("ratings").get()).size).toBe(1);
+  });
+});
+
+// ---------------------------
+// TICKETS
+// ---------------------------
+describe("jegyek és beléptetés", () => {
+  it("a jelentkezés jegyet ad, a QR kód képként lekérhető", async () => {
+    const { app, signUp } = setup({ ticketSecret: "titok" });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+
+    const registered = await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    expect(registered.body.ticket).toEqual(expect.any(String));
+
+    const mine = await request(app).get(`/events/${id}/ticket`).set(bearer(bela));
+    expect(mine.body).toMatchObject({ ticket: registered.body.ticket, status: "confirmed", checkedInAt: null });
+    expect((await request(app).get(`/events/${id}/ticket`).set(bearer(owner))).status).toBe(404);
+
+    const qr = await request(app).get(new URL(mine.body.qrUrl).pathname);
+    expect(qr.status).toBe(200);
+    expect(qr.headers["content-type"]).toBe("image/png");
+    expect((await request(app).get("/tickets/hamis.png")).status).toBe(404);
+  });
+
+  it("a szervező belépteti a jegyet; a duplát, a más eseményre szólót és a várólistást elutasítja", async () => {
+    const { app, signUp } = setup({ ticketSecret: "titok" });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner, { capacity: 1 });
+    const other = await createEvent(app, owner, { title: "Másik" });
+
+    const ticket = (await request(app).post(`/events/${id}/register`).set(bearer(bela))).body.ticket;
+    const waitlisted = (await request(app).post(`/events/${id}/register`).set(bearer(cili))).body.ticket;
+    const otherTicket = (await request(app).post(`/events/${other.id}/register`).set(bearer(bela))).body.ticket;
+    const checkin = (token, as = owner) => request(app).post(`/events/${id}/checkin`).set(bearer(as)).send({ token });
+
+    expect((await checkin(ticket, bela)).status).toBe(403);
+    expect((await checkin(`${ticket}x`)).status).toBe(400);
+    expect((await checkin(otherTicket)).status).toBe(409);
+    expect((await checkin(waitlisted)).status).toBe(409);
+
+    const first = await checkin(ticket);
+    expect(first.status).toBe(200);
+    expect(first.body.registration).toMatchObject({ uid: "bela", userName: "bela", checkedInAt: expect.any(String) });
+    const again = await checkin(ticket);
+    expect(again.status).toBe(409);
+    expect(again.body.checkedInAt).toBe(first.body.registration.checkedInAt);
+
+    const stats = await request(app).get(`/events/${id}/attendance`).set(bearer(owner));
+    expect(stats.body).toMatchObject({ confirmed: 1, waitlisted: 1, checkedIn: 1, notCheckedIn: 0, attendanceRate: 1 });
+    expect((await request(app).get(`/events/${id}/attendance`).set(bearer(bela))).status).toBe(403);
+  });
+
+  it("aláíró kulcs nélkül a jegy végpontok 503-at adnak", async () => {
+    const { app, signUp } = setup({ ticketSecret: null });
+    const owner = await signUp("anna");
+    const { id } = await createEvent(app, owner);
+
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(owner))).body.ticket).toBeNull();
+    expect((await request(app).get(`/events/${id}/ticket`).set(bearer(owner))).status).toBe(503);
+  });
+});
+
+// ---------------------------
+// NOTIFICATIONS
+// ---------------------------
+describe("értesítések", () => {
+  function mailSetup() {
+    const sent = [];
+    const ctx = setup({ mailTransport: { name: "test", send: async (mail) => sent.push(mail) } });
+    return { ...ctx, sent };
+  }
+
+  it("jelentkezéskor visszaigazolás, időpont-változáskor és törléskor a jelentkezők kapnak levelet", async () => {
+    const { app, signUp, sent } = mailSetup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner, { location: "Budapest" });
+
+    // A levelek a válasz után, a háttérben mennek ki (outbox)
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    await vi.waitFor(() => expect(sent).toHaveLength(1));
+    expect(sent.map(({ to, subject }) => ({ to, subject }))).toEqual([
+      { to: "bela@example.com", subject: "Sikeres jelentkezés: Koncert" },
+    ]);
+
+    // A cím változása nem megy ki, az időpont igen
+    const base = { title: "Koncert", date: "2026.06.01", time: "18:00", location: "Budapest" };
+    await request(app).put(`/events/${id}`).set(bearer(owner)).send({ ...base, title: "Nagy koncert" });
+    expect(sent).toHaveLength(1);
+    await request(app).put(`/events/${id}`).set(bearer(owner)).send({ ...base, title: "Nagy koncert", time: "19:00" });
+    await vi.waitFor(() => expect(sent).toHaveLength(2));
+    expect(sent[1]).toMatchObject({ to: "bela@example.com", subject: "Módosult az esemény: Nagy koncert" });
+    expect(sent[1].text).toContain("Időpont: 18:00 -> 19:00");
+
+    await request(app).delete(`/events/${id}`).set(bearer(owner));
+    await vi.waitFor(() => expect(sent).toHaveLength(3));
+    expect(sent[2]).toMatchObject({ to: "bela@example.com", subject: "Elmarad az esemény: Nagy koncert" });
+  });
+
+  it("a profilban kikapcsolt értesítésnél nem megy levél", async () => {
+    const { app, db, signUp, sent } = mailSetup();
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+
+    expect((await request(app).put("/users/me").set(bearer(bela)).send({ emailNotifications: false })).status).toBe(200);
+    expect((await request(app).get("/users/me").set(bearer(bela))).body.emailNotifications).toBe(false);
+
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    await request(app).delete(`/admin/events/${id}`).set(bearer(await signUp("admin", { isAdmin: true })));
+    await vi.waitFor(async () => expect((await db.collection("notification_outbox").get()).size).toBe(0));
+    expect(sent).toEqual([]);
+  });
+
+  it("a sorban maradt leveleket a cron küldi ki, egyszer", async () => {
+    const sent = [];
+    const { app, db, signUp } = setup({
+      cronSecret: "titok",
+      sendQueuedMail: false,
+      mailTransport: { name: "test", send: async (mail) => sent.push(mail) },
+    });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    await request(app).delete(`/events/${id}`).set(bearer(owner));
+    expect(sent).toEqual([]);
+    expect((await db.collection("notification_outbox").get()).size).toBe(2);
+
+    expect((await request(app).post("/internal/cron/notifications")).status).toBe(401);
+    const res = await request(app).post("/internal/cron/notifications").set(bearer("titok"));
+    expect(res.body).toMatchObject({ ok: true, jobs: 2, sent: 2 });
+    expect(sent.map((mail) => mail.subject)).toEqual(["Sikeres jelentkezés: Koncert", "Elmarad az esemény: Koncert"]);
+    expect((await request(app).get("/internal/cron/notifications").set(bearer("titok"))).body.jobs).toBe(0);
+
+    const withoutMail = setup({ cronSecret: "titok" });
+    expect((await request(withoutMail.app).post("/internal/cron/notifications").set(bearer("titok"))).status).toBe(503);
+  });
+});
+
+// ---------------------------
+// CRON
+// ---------------------------
+describe("cron", () => {
+  it("a reminders végpont csak a cron titokkal hívható, és kiküldi az emlékeztetőket", async () => {
+    const sent = [];
+    const { app, signUp } = setup({ cronSecret: "titok", mailTransport: { send: async (mail) => sent.push(mail) } });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, owner, { date: undefined, time: undefined, startsAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() });
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+    sent.length = 0;
+
+    expect((await request(app).post("/internal/cron/reminders")).status).toBe(401);
+    expect((await request(app).post("/internal/cron/reminders").set(bearer("rossz"))).status).toBe(401);
+
+    const res = await request(app).post("/internal/cron/reminders").set(bearer("titok"));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, events: 1, sent: 1 });
+    expect(sent[0]).toMatchObject({ to: "bela@example.com", subject: "Emlékeztető: Koncert 24 órán belül kezdődik" });
+
+    expect((await request(app).get("/internal/cron/reminders").set(bearer("titok"))).body.sent).toBe(0);
+  });
+
+  it("titok nélkül a végpont nem hívható", async () => {
+    const { app } = setup({ cronSecret: null });
+    expect((await request(app).post("/internal/cron/reminders").set(bearer(""))).status).toBe(401);
+  });
+});
+
+// ---------------------------
+// RATE LIMIT
+// ---------------------------
+describe("rate limit", () => {
+  it("IP-nként korlátozza a regisztrációt: 429 Retry-After fejléccel", async () => {
+    const { app } = setup({ rateLimits: { usersRegister: { ip: { windowMs: 60000, max: 2 } } } });
+    const register = (n) => request(app).post("/users/register").send({ name: "Anna", email: `anna${n}@example.com`, password: "titok123" });
+
+    const first = await register(1);
+    expect(first.status).toBe(201);
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect((await register(2)).status).toBe(201);
+
+    const limited = await register(3);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+    expect(limited.body.retryAfter).toBe(Number(limited.headers["retry-after"]));
+  });
+
+  it("proxy mögött (pl. Vercel) az X-Forwarded-For szerinti kliensenként számol", async () => {
+    const { app } = setup({ trustProxy: 1, rateLimits: { usersRegister: { ip: { windowMs: 60000, max: 1 } } } });
+    const register = (n, ip) =>
+      request(app).post("/users/register").set("X-Forwarded-For", ip).send({ name: "Anna", email: `anna${n}@example.com`, password: "titok123" });
+
+    expect((await register(1, "203.0.113.1")).status).toBe(201);
+    expect((await register(2, "203.0.113.2")).status).toBe(201);
+    expect((await register(3, "203.0.113.1")).status).toBe(429);
+  });
+
+  it("uid-nként külön számol, false-szal kikapcsolható", async () => {
+    const { app, signUp } = setup({ rateLimits: { eventRegister: { ip: false, uid: { windowMs: 60000, max: 1 } } } });
+    const owner = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+    const { id } = await createEvent(app, owner);
+
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(bela))).status).toBe(200);
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(bela))).status).toBe(429);
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(cili))).status).toBe(200);
+
+    const unlimited = setup({ rateLimits: { usersRegister: false } });
+    for (let n = 0; n < 12; n++) {
+      const res = await request(unlimited.app).post("/users/register").send({ name: "Anna", email: `anna${n}@example.com`, password: "titok123" });
+      expect(res.status).toBe(201);
+    }
+  });
+});
+
+// ---------------------------
+// ADMIN
+// ---------------------------
+describe("admin", () => {
+  it("nem admin 403-at kap", async () => {
+    const { app, signUp } = setup();
+    const token = await signUp("anna");
+    expect((await request(app).get("/admin/stats").set(bearer(token))).status).toBe(403);
+  });
+
+  it("a jelentkezési számlálók újraszámolása a registrations kollekcióból", async () => {
+    const { app, db, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const members = await Promise.all(["bela", "cili", "dani"].map((uid) => signUp(uid)));
+    const full = await createEvent(app, owner, { capacity: 2 });
+    const ok = await createEvent(app, owner);
+    const empty = await createEvent(app, owner);
+    for (const token of members) await request(app).post(`/events/${full.id}/register`).set(bearer(token));
+    await request(app).post(`/events/${ok.id}/register`).set(bearer(members[0]));
+
+    await db.collection("events").doc(full.id).update({ registrationCount: 7, waitlistCount: 0 });
+    await db.collection("events").doc(empty.id).update({ registrationCount: 3 });
+
+    const recompute = () => request(app).post("/admin/registration-counts/recompute").set(bearer(admin));
+    expect((await request(app).post("/admin/registration-counts/recompute").set(bearer(owner))).status).toBe(403);
+    const res = await recompute();
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, checked: 3 });
+    expect(res.body.fixed.sort()).toEqual([full.id, empty.id].sort());
+
+    const counts = async (id) => {
+      const { registrationCount, waitlistCount } = (await db.collection("events").doc(id).get()).data();
+      return { registrationCount, waitlistCount };
+    };
+    expect(await counts(full.id)).toEqual({ registrationCount: 2, waitlistCount: 1 });
+    expect(await counts(ok.id)).toEqual({ registrationCount: 1, waitlistCount: 0 });
+    expect(await counts(empty.id)).toEqual({ registrationCount: 0, waitlistCount: 0 });
+    expect((await recompute()).body.fixed).toEqual([]);
+  });
+
+  it("szerepkörök custom claim-ként: a moderátor eseményt szerkeszthet, usert nem kezelhet", async () => {
+    const { app, db, auth, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const mod = await signUp("bela");
+    const { id } = await createEvent(app, owner);
+
+    // A Firestore isAdmin mező önmagában nem ad jogot
+    await db.collection("users").doc("bela").update({ isAdmin: true });
+    expect((await request(app).put(`/admin/events/${id}`).set(bearer(mod)).send({ title: "Új" })).status).toBe(403);
+
+    const granted = await request(app).put("/admin/users/bela").set(bearer(admin)).send({ roles: ["moderator", "moderator"] });
+    expect(granted.body).toEqual({ ok: true, roles: ["moderator"] });
+    expect((await auth.getUser("bela")).customClaims).toEqual({ roles: ["moderator"] });
+    expect((await db.collection("users").doc("bela").get()).data()).toMatchObject({ roles: ["moderator"], isAdmin: false });
+
+    expect((await request(app).put(`/admin/events/${id}`).set(bearer(mod)).send({ title: "Új" })).status).toBe(200);
+    expect((await request(app).get("/admin/users").set(bearer(mod))).status).toBe(403);
+    expect((await request(app).delete(`/admin/events/${id}`).set(bearer(mod))).status).toBe(200);
+
+    const invalid = await request(app).put("/admin/users/bela").set(bearer(admin)).send({ roles: ["root"] });
+    expect(invalid.body.errors[0]).toEqual({ field: "roles[0]", message: "roles[0] must be one of: admin, moderator, organizer" });
+  });
+
+  it("a régi isAdmin csak az admin szerepkört állítja; saját admin jog nem vehető el", async () => {
+    const { app, auth, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    await signUp("anna", { roles: ["organizer"] });
+
+    const res = await request(app).put("/admin/users/anna").set(bearer(admin)).send({ isAdmin: true });
+    expect(res.body.roles).toEqual(["admin", "organizer"]);
+    expect(rolesOf((await auth.getUser("anna")).customClaims)).toEqual(["admin", "organizer"]);
+
+    expect((await request(app).put("/admin/users/admin").set(bearer(admin)).send({ isAdmin: false })).status).toBe(400);
+    expect((await request(app).put("/admin/users/nincs").set(bearer(admin)).send({ roles: [] })).status).toBe(404);
+  });
+
+  it("users dokumentum nélküli auth fióknál 404, és a claim-ek sem változnak", async () => {
+    const { app, auth, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    await auth.createUser({ uid: "arva", email: "arva@example.com" });
+
+    const res = await request(app).put("/admin/users/arva").set(bearer(admin)).send({ isAdmin: true, name: "Árva" });
+    expect(res.status).toBe(404);
+    const account = await auth.getUser("arva");
+    expect(rolesOf(account.customClaims)).toEqual([]);
+    expect(account.displayName).toBeNull();
+    expect((await request(app).get("/admin/audit").set(bearer(admin))).body.entries).toEqual([]);
+  });
+
+  it("audit napló: ki, mit, mikor módosított vagy törölt; szűrhető és lapozható", async () => {
+    const { app, signUp } = setup();
+    const admin = await signUp("admin", { isAdmin: true });
+    const owner = await signUp("anna");
+    const first = await createEvent(app, owner, { title: "Első" });
+    const second = await createEvent(app, owner, { title: "Második" });
+
+    await request(app).put("/admin/users/anna").set(bearer(admin)).send({ isAdmin: true });
+    await request(app).delete(`/admin/events/${first.id}`).set(bearer(admin));
+    await request(app).delete(`/events/${second.id}`).set(bearer(owner));
+
+    expect((await request(app).get("/admin/audit").set(bearer(owner))).status).toBe(200); // anna már admin
+    const all = (await request(app).get("/admin/audit").set(bearer(admin))).body;
+    expect(all.entries.map((e) => e.action)).toEqual(["event.delete", "event.delete", "user.update"]);
+
+    const [grant] = (await request(app).get("/admin/audit").query({ action: "user.update" }).set(bearer(admin))).body.entries;
+    expect(grant).toMatchObject({
+      actorUid: "admin",
+      actor: { uid: "admin", email: "admin@example.com", roles: ["admin"] },
+      targetType: "user",
+      targetId: "anna",
+      changes: { isAdmin: { before: false, after: true }, roles: { before: [], after: ["admin"] } },
+    });
+    expect(grant.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    const deletion = (await request(app).get("/admin/audit").query({ targetId: first.id }).set(bearer(admin))).body;
+    expect(deletion.entries).toHaveLength(1);
+    expect(deletion.entries[0]).toMatchObject({ actorUid: "admin", meta: { title: "Első" } });
+
+    const page = (await request(app).get("/admin/audit").query({ limit: 2 }).set(bearer(admin))).body;
+    const rest = (await request(app).get("/admin/audit").query({ limit: 2, cursor: page.nextCursor }).set(bearer(admin))).body;
+    expect([...page.entries, ...rest.entries].map((e) => e.id)).toEqual(all.entries.map((e) => e.id));
+
+    expect((await request(app).get("/admin/audit").query({ from: "tegnap" }).set(bearer(admin))).status).toBe(400);
+  });
+
+  it("user törlése: lomtárba kerül az eseményeivel, a fiókja letiltva, a jelentkezések megmaradnak; visszaállítható", async () => {
+    const { app, db, auth, signUp } = setup();
+    const adminToken = await signUp("root", { isAdmin: true });
+    const anna = await signUp("anna");
+    const bela = await signUp("bela");
+    const annaEvent = await createEvent(app, anna);
+    const belaEvent = await createEvent(app, bela);
+    await request(app).post(`/events/${annaEvent.id}/register`).set(bearer(bela));
+    await request(app).post(`/events/${belaEvent.id}/register`).set(bearer(anna));
+
+    const res = await request(app).delete("/admin/users/anna").set(bearer(adminToken));
+    expect(res.body).toEqual({ ok: true, deletedEvents: [annaEvent.id] });
+    expect((await request(app).get(`/events/${annaEvent.id}`)).status).toBe(404);
+    expect((await request(app).get("/events")).body.events.map((e) => e.id)).toEqual([belaEvent.id]);
+    expect((await request(app).get("/users")).body.users.map((u) => u.id)).toEqual(["bela", "root"]);
+    expect((await request(app).get("/users/me").set(bearer(anna))).status).toBe(401);
+    expect((await db.collection("registrations").get()).size).toBe(2);
+
+    const stats = await request(app).get("/admin/stats").set(bearer(adminToken));
+    expect(stats.body).toMatchObject({ totalUsers: 2, totalEvents: 1, totalRegistrations: 2 });
+
+    const trash = await request(app).get("/admin/trash").query({ type: "users" }).set(bearer(adminToken));
+    expect(trash.body.items).toMatchObject([{ uid: "anna", deletedBy: "root" }]);
+    // A userrel együtt törölt esemény külön nem állítható vissza
+    expect((await request(app).post(`/admin/trash/events/${annaEvent.id}/restore`).set(bearer(adminToken))).status).toBe(409);
+
+    const restored = await request(app).post("/admin/trash/users/anna/restore").set(bearer(adminToken));
+    expect(restored.body).toEqual({ ok: true, restoredEvents: [annaEvent.id] });
+    expect((await request(app).get(`/events/${annaEvent.id}`)).status).toBe(200);
+    expect((await request(app).get("/users/me").set(bearer(anna))).status).toBe(200);
+    expect((await auth.getUser("anna")).disabled).toBe(false);
+    expect((await db.collection("events").doc(annaEvent.id).get()).data().deletedAt).toBeUndefined();
+  });
+
+  it("végleges törlés a megőrzési idő után: eseményei, jelentkezései és auth fiókja is törlődik, a helyére előlép a várólista", async () => {
+    const { app, db, auth, signUp } = setup();
+    const adminToken = await signUp("root", { isAdmin: true });
+    const anna = await signUp("anna");
+    const bela = await signUp("bela");
+    const cili = await signUp("cili");
+
+    const annaEvent = await createEvent(app, anna);
+    await request(app).post(`/events/${annaEvent.id}/register`).set(bearer(cili));
+    const belaEvent = await createEvent(app, bela, { capacity: 1 });
+    await request(app).post(`/events/${belaEvent.id}/register`).set(bearer(anna));
+    await request(app).post(`/events/${belaEvent.id}/register`).set(bearer(cili));
+    await request(app).delete("/admin/users/anna").set(bearer(adminToken));
+
+    // Az alapértelmezett (30 napos) megőrzési időn belül nem töröl
+    const early = await request(app).post("/admin/trash/purge").set(bearer(adminToken));
+    expect(early.body).toMatchObject({ olderThanDays: 30, events: [], users: [] });
+    const dry = await request(app).post("/admin/trash/purge").query({ olderThanDays: 0, dryRun: "true" }).set(bearer(adminToken));
+    expect(dry.body).toMatchObject({ dryRun: true, events: [annaEvent.id], users: ["anna"] });
+    expect((await db.collection("users").doc("anna").get()).exists).toBe(true);
+
+    await request(app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(adminToken));
+    expect((await db.collection("users").doc("anna").get()).exists).toBe(false);
+    expect((await db.collection("events").doc(annaEvent.id).get()).exists).toBe(false);
+    expect((await db.collection("registrations").where("uid", "==", "anna").get()).size).toBe(0);
+    expect((await db.collection("registrations").where("eventId", "==", annaEvent.id).get()).size).toBe(0);
+    expect((await db.collection("registrations").doc(`cili_${belaEvent.id}`).get()).data().status).toBe("confirmed");
+    await expect(auth.getUser("anna")).rejects.toMatchObject({ code: "auth/user-not-found" });
+
+    const stats = await request(app).get("/admin/stats").set(bearer(adminToken));
+    expect(stats.body).toMatchObject({ totalUsers: 3, totalEvents: 1, totalRegistrations: 1 });
+  });
+
+  it("végleges törlés: az 500-as batch-korlátnál több jelentkezésű esemény is törlődik, a többi elem sem marad ki", async () => {
+    const { app, db, signUp } = setup();
+    const adminToken = await signUp("root", { isAdmin: true });
+    const anna = await signUp("anna");
+    const big = await createEvent(app, anna);
+    const small = await createEvent(app, anna);
+    for (let start = 0; start < 600; start += 300) {
+      const batch = db.batch();
+      for (let i = start; i < start + 300; i++) {
+        batch.set(db.collection("registrations").doc(`u${i}_${big.id}`), { uid: `u${i}`, eventId: big.id, status: "confirmed" });
+      }
+      await batch.commit();
+    }
+    for (const { id } of [big, small]) await request(app).delete(`/events/${id}`).set(bearer(anna));
+
+    const res = await request(app).post("/admin/trash/purge").query({ olderThanDays: 0 }).set(bearer(adminToken));
+    expect(res.status).toBe(200);
+    expect(res.body.events.sort()).toEqual([big.id, small.id].sort());
+    expect((await db.collection("events").get()).size).toBe(0);
+    expect((await db.collection("registrations").get()).size).toBe(0);
+    const audit = await request(app).get("/admin/audit").query({ action: "event.purge" }).set(bearer(adminToken));
+    expect(audit.body.entries.find((entry) => entry.targetId === big.id).meta.registrations).toBe(600);
+  });
+
+  it("a szervező által törölt esemény a lomtárból visszaállítható, a jelentkezésekkel együtt", async () => {
+    const { app, signUp } = setup();
+    const adminToken = await signUp("root", { isAdmin: true });
+    const anna = await signUp("anna");
+    const bela = await signUp("bela");
+    const { id } = await createEvent(app, anna);
+    await request(app).post(`/events/${id}/register`).set(bearer(bela));
+
+    await request(app).delete(`/events/${id}`).set(bearer(anna));
+    expect((await request(app).get("/events/mine").set(bearer(anna))).body.events).toEqual([]);
+    expect((await request(app).post(`/events/${id}/register`).set(bearer(adminToken))).status).toBe(404);
+    expect((await request(app).delete(`/events/${id}`).set(bearer(anna))).status).toBe(404);
+
+    const trash = await request(app).get("/admin/trash").set(bearer(adminToken));
+    expect(trash.body.items).toMatchObject([{ id, deletedBy: "anna", deletedWithUser: null }]);
+    expect(trash.body.items[0].deletedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    expect((await request(app).post(`/admin/trash/events/${id}/restore`).set(bearer(adminToken))).status).toBe(200);
+    const registrations = await request(app).get(`/events/${id}/registrations`).set(bearer(anna));
+    expect(registrations.body.registrations.map((r) => r.uid)).toEqual(["bela"]);
+    expect((await request(app).post(`/admin/trash/events/${id}/restore`).set(bearer(adminToken))).status).toBe(404);
+  });
+
+  it("admin esemény módosításnál megmarad a létszámkorlát, ha nem küldik", async () => {
+    const { app, db, signUp } = setup();
+    const adminToken = await signUp("root", { isAdmin: true });
+    const anna = await signUp("anna");
+    const { id } = await createEvent(app, anna, { capacity: 5 });
+
+    const res = await request(app).put(`/admin/events/${id}`).set(bearer(adminToken)).send({ title: "Átnevezve" });
+    expect(res.status).toBe(200);
+    expect((await db.collection("events").doc(id).get()).data()).toMatchObject({ title: "Átnevezve", capacity: 5, adminLastEdit: "root" });
+  });
+});
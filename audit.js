@@ -0,0 +1,74 @@
+// Napló az adminisztratív és romboló műveletekről: audit_log/{id} ->
+// { action, actorUid, actor: { uid, email, roles }, targetType, targetId, changes, meta, createdAt }.
+// changes: { mező: { before, after } } csak a változott mezőkkel; végleges törlésnél (purge) az after
+// null, így a törölt adat is visszakereshető. A belső, származtatott mezők (searchKeywords, imageKeys,
+// geohash, updatedAt, adminLastEdit) nem kerülnek bele.
+
+export const AUDIT_LOG = "audit_log";
+
+// Műveletek: "cél.művelet"
+export const AUDIT_ACTIONS = [
+  "user.update",
+  "user.delete",
+  "user.restore",
+  "user.purge",
+  "event.update",
+  "event.delete",
+  "event.restore",
+  "event.purge",
+  "category.create",
+  "category.update",
+  "category.delete",
+  "comment.moderate",
+  "comment.delete",
+  "maintenance.recompute-counts",
+  "maintenance.reindex",
+  "maintenance.migrate-datetimes",
+  "maintenance.reconcile-images",
+];
+
+const IGNORED_FIELDS = new Set(["searchKeywords", "imageKeys", "geohash", "updatedAt", "adminLastEdit"]);
+
+// Timestamp -> ISO string, hogy a naplóban összehasonlítható és olvasható legyen
+function plain(value) {
+  if (value === undefined) return null;
+  if (value?.toDate) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  return value;
+}
+
+// A két dokumentumállapot (vagy null) közötti különbség mezőnként
+export function auditChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const old = plain(before?.[field]);
+    const next = plain(after?.[field]);
+    if (JSON.stringify(old) !== JSON.stringify(next)) changes[field] = { before: old, after: next };
+  }
+  return changes;
+}
+
+// GET /admin/audit query paraméterei: action, actor (uid), targetType, targetId, from, to (ISO időpont)
+export function parseAuditFilters(query) {
+  const { action, actor, targetType, targetId, from, to } = query;
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` };
+  }
+  const fromDate = from === undefined ? null : new Date(from);
+  const toDate = to === undefined ? null : new Date(to);
+  if (Number.isNaN(fromDate?.getTime())) return { error: "from must be an ISO 8601 date-time" };
+  if (Number.isNaN(toDate?.getTime())) return { error: "to must be an ISO 8601 date-time" };
+
+  const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+  return {
+    action: action ?? null,
+    actorUid: text(actor),
+    targetType: text(targetType),
+    targetId: text(targetId),
+    from: fromDate,
+    to: toDate,
+  };
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { auditChanges, parseAuditFilters } from "./audit.js";
+import { Timestamp } from "./memoryStorage.js";
+
+describe("auditChanges", () => {
+  it("csak a változott mezőket adja, a belső mezők nélkül", () => {
+    const before = { title: "A", capacity: 10, images: [{ id: "x" }], searchKeywords: ["a"] };
+    const after = { title: "B", capacity: 10, images: [{ id: "y" }], searchKeywords: ["b"], location: "Pécs" };
+    expect(auditChanges(before, after)).toEqual({
+      title: { before: "A", after: "B" },
+      images: { before: [{ id: "x" }], after: [{ id: "y" }] },
+      location: { before: null, after: "Pécs" },
+    });
+  });
+
+  it("törlésnél minden mező after értéke null, a Timestamp ISO string lesz", () => {
+    const startsAt = Timestamp.fromDate(new Date("2026-06-01T16:00:00Z"));
+    expect(auditChanges({ title: "A", startsAt }, null)).toEqual({
+      title: { before: "A", after: null },
+      startsAt: { before: "2026-06-01T16:00:00.000Z", after: null },
+    });
+  });
+});
+
+describe("parseAuditFilters", () => {
+  it("ellenőrzi a műveletet és a dátumokat", () => {
+    expect(parseAuditFilters({ action: "event.delete", actor: " admin ", from: "2026-01-01" })).toMatchObject({
+      action: "event.delete",
+      actorUid: "admin",
+      from: new Date("2026-01-01"),
+      to: null,
+    });
+    expect(parseAuditFilters({ action: "drop" }).error).toMatch(/action must be one of/);
+    expect(parseAuditFilters({ to: "holnap" }).error).toBe("to must be an ISO 8601 date-time");
+  });
+});
@@ -0,0 +1,98 @@
+// iCalendar (RFC 5545) export az eseményekhez.
+// Az időpontokat UTC-ben írjuk ki (startsAt / endsAt), így nincs szükség VTIMEZONE komponensre,
+// és minden naptárkliens ugyanúgy értelmezi. Az egész napos események VALUE=DATE értéket kapnak.
+
+import { zonedTimeToUtc } from "./datetime.js";
+
+const PRODID = "-//Events4Everyone//Events//HU";
+const UID_DOMAIN = "events4everyone";
+// Ha az eseménynek csak kezdési ideje van, ennyi ideig tartónak tekintjük
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatUtc(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+}
+
+function formatDate(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// TEXT értékek escape-elése (RFC 5545 3.3.11)
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Sorhajtogatás 75 oktetenként (RFC 5545 3.1), UTF-8 karakterhatáron
+export function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const max = chunks.length === 0 ? 75 : 74; // a folytatósor elején lévő szóköz is számít
+    if (currentBytes + bytes > max) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+// Egy esemény VEVENT sorai, vagy null ha nincs dátuma (dátum nélkül nem tehető naptárba)
+function eventLines(event, { timeZone, now }) {
+  if (!event.date) return null;
+  const [year, month, day] = event.date.split(".").map(Number);
+
+  const lines = ["BEGIN:VEVENT", `UID:${event.id}@${UID_DOMAIN}`, `DTSTAMP:${formatUtc(now)}`];
+  if (event.time && event.startsAt) {
+    const start = Date.parse(event.startsAt);
+    const end = event.endsAt ? Date.parse(event.endsAt) : start + DEFAULT_DURATION_MS;
+    lines.push(`DTSTART:${formatUtc(start)}`, `DTEND:${formatUtc(end)}`);
+  } else if (event.time) {
+    // Migráció előtti esemény: a helyi dátumot és időt az esemény (vagy az alapértelmezett) időzónájában értelmezzük
+    const [hour, minute] = event.time.split(":").map(Number);
+    const start = zonedTimeToUtc(year, month, day, hour, minute, event.timeZone || timeZone);
+    lines.push(`DTSTART:${formatUtc(start)}`, `DTEND:${formatUtc(start + DEFAULT_DURATION_MS)}`);
+  } else {
+    // Egész napos esemény: a DTEND kizáró, ezért a következő nap
+    const start = Date.UTC(year, month - 1, day);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(start + 24 * 60 * 60 * 1000)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title || "")}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  // Várólistás regisztráció a személyes feedben: még nem biztos a részvétel
+  lines.push(`STATUS:${event.registrationStatus === "waitlisted" ? "TENTATIVE" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Teljes VCALENDAR a megadott eseményekből; a dátum nélküli eseményeket kihagyja
+export function buildCalendar(events, { name, timeZone, now = Date.now() }) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    const vevent = eventLines(event, { timeZone, now });
+    if (vevent) lines.push(...vevent);
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
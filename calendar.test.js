@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { buildCalendar, escapeText, foldLine } from "./calendar.js";
+
+const NOW = Date.UTC(2026, 3, 1, 8, 0, 0);
+const TZ = "Europe/Budapest";
+
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+describe("escapeText / foldLine", () => {
+  it("escape-eli a speciális karaktereket", () => {
+    expect(escapeText("a,b;c\\d\ne")).toBe("a\\,b\\;c\\\\d\\ne");
+  });
+
+  it("75 oktetnél hosszabb sorokat hajtogat, ékezetes karaktert nem vág ketté", () => {
+    const folded = foldLine("DESCRIPTION:" + "é".repeat(100));
+    folded.split("\r\n").forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded.replace(/\r\n /g, "")).toBe("DESCRIPTION:" + "é".repeat(100));
+  });
+});
+
+describe("buildCalendar", () => {
+  it("időponttal rendelkező eseményből UTC-s VEVENT-et készít", () => {
+    const ics = buildCalendar(
+      [{ id: "ev1", title: "Jazz, blues", date: "2026.04.13", time: "16:30", location: "Győr", description: "Élő zene" }],
+      { timeZone: TZ, now: NOW }
+    );
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("UID:ev1@events4everyone\r\n");
+    expect(ics).toContain("DTSTAMP:20260401T080000Z\r\n");
+    expect(ics).toContain("DTSTART:20260413T143000Z\r\n");
+    expect(ics).toContain("DTEND:20260413T153000Z\r\n");
+    expect(ics).toContain("SUMMARY:Jazz\\, blues\r\n");
+    expect(ics).toContain("LOCATION:Győr\r\n");
+    expect(ics).toContain("STATUS:CONFIRMED\r\n");
+  });
+
+  it("startsAt / endsAt esetén azokat használja", () => {
+    const ics = buildCalendar(
+      [{ id: "ev3", title: "NY", date: "2026.07.01", time: "06:00", startsAt: "2026-07-01T10:00:00.000Z", endsAt: "2026-07-01T12:30:00.000Z" }],
+      { timeZone: TZ, now: NOW }
+    );
+    expect(ics).toContain("DTSTART:20260701T100000Z\r\n");
+    expect(ics).toContain("DTEND:20260701T123000Z\r\n");
+  });
+
+  it("migráció előtti eseménynél az esemény saját időzónáját használja", () => {
+    const ics = buildCalendar([{ id: "ev4", title: "Régi", date: "2026.07.01", time: "06:00", timeZone: "America/New_York" }], {
+      timeZone: TZ,
+      now: NOW,
+    });
+    expect(ics).toContain("DTSTART:20260701T100000Z\r\n");
+  });
+
+  it("időpont nélküli esemény egész napos", () => {
+    const ics = buildCalendar([{ id: "ev2", title: "Nap", date: "2026.12.31" }], { timeZone: TZ, now: NOW });
+    expect(ics).toContain("DTSTART;VALUE=DATE:20261231\r\n");
+    expect(ics).toContain("DTEND;VALUE=DATE:20270101\r\n");
+  });
+
+  it("a dátum nélküli eseményeket kihagyja, a várólistásokat TENTATIVE-nak jelöli", () => {
+    const ics = unfold(
+      buildCalendar(
+        [
+          { id: "nodate", title: "Valamikor" },
+          { id: "wait", title: "Várólista", date: "2026.05.01", registrationStatus: "waitlisted" },
+        ],
+        { name: "Saját", timeZone: TZ, now: NOW }
+      )
+    );
+    expect(ics).not.toContain("nodate");
+    expect(ics).toContain("X-WR-CALNAME:Saját\r\n");
+    expect(ics).toContain("STATUS:TENTATIVE\r\n");
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,165 @@
+// Az események időpont-modellje.
+// Tárolás: startsAt / endsAt (UTC időpont, Firestore Timestamp) + timeZone (IANA, pl. "Europe/Budapest").
+// A régi mezőket (date: "yyyy.mm.dd", time: "hh:mm", datetime) az esemény saját időzónájában
+// számoljuk ki és továbbra is eltároljuk: a frontend ezeket használja, és a dátum szerinti
+// szűrés / rendezés is rájuk épül.
+
+export const DATE_REGEX = /^\d{4}\.\d{2}\.\d{2}$/;
+export const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// 2026-04-13T16:30, 2026-04-13T16:30:00Z, 2026-04-13T16:30:00.000+02:00
+const ISO_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+const MINUTE_MS = 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function isCalendarDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// yyyy.mm.dd formátum ÉS létező naptári nap (a 2026.02.31 nem az)
+export function isValidDateString(date) {
+  if (typeof date !== "string" || !DATE_REGEX.test(date)) return false;
+  const [year, month, day] = date.split(".").map(Number);
+  return isCalendarDate(year, month, day);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Kényelmi mező a frontendnek: "2026.04.13 16:30" vagy csak "2026.04.13" ha nincs idő
+export function toDatetime(date, time) {
+  return date ? (time ? `${date} ${time}` : date) : null;
+}
+
+function zonedParts(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(utcMs));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+// Az időzóna eltolása (ms) egy adott UTC időpontban
+function timeZoneOffset(utcMs, timeZone) {
+  const p = zonedParts(utcMs, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - utcMs;
+}
+
+// Helyi (falióra szerinti) idő -> UTC ms. Nyári időszámítás váltásánál a második becslés javít.
+export function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = wallClock - timeZoneOffset(wallClock, timeZone);
+  return wallClock - timeZoneOffset(firstGuess, timeZone);
+}
+
+// UTC ms -> { date: "yyyy.mm.dd", time: "hh:mm" } az adott időzónában
+export function localParts(utcMs, timeZone) {
+  const p = zonedParts(utcMs, timeZone);
+  return { date: `${p.year}.${pad(p.month)}.${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+// ISO 8601 időpont -> UTC ms, vagy null ha érvénytelen. Eltolás nélküli értéket az adott
+// időzóna helyi idejeként értelmez.
+export function parseIsoDateTime(value, timeZone) {
+  const match = typeof value === "string" ? ISO_REGEX.exec(value) : null;
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = "0", offset] = match;
+  if (!isCalendarDate(Number(year), Number(month), Number(day))) return null;
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+
+  if (!offset) return zonedTimeToUtc(Number(year), Number(month), Number(day), Number(hour), Number(minute), timeZone);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null;
+}
+
+// Az esemény időpont-mezői a kérésből: { schedule } vagy { field, error }.
+// Megadható startsAt (ISO 8601), vagy a régi date + time páros; a vég endsAt-tal vagy
+// durationMinutes-szal. Idő nélküli dátum egész napos esemény.
+export function buildSchedule({ date, time, startsAt, endsAt, durationMinutes, timeZone }, defaultTimeZone) {
+  const zone = isPresent(timeZone) ? timeZone : defaultTimeZone;
+  if (!isValidTimeZone(zone)) return { field: "timeZone", error: "timeZone must be a valid IANA time zone (e.g. Europe/Budapest)" };
+
+  let start = null;
+  let allDay = false;
+  let local = { date: null, time: null };
+
+  if (isPresent(startsAt)) {
+    if (isPresent(date) || isPresent(time)) return { field: "startsAt", error: "use either startsAt or date/time, not both" };
+    start = parseIsoDateTime(startsAt, zone);
+    if (start === null) return { field: "startsAt", error: "startsAt must be a valid ISO 8601 date-time" };
+    local = localParts(start, zone);
+  } else {
+    if (isPresent(date) && (typeof date !== "string" || !DATE_REGEX.test(date))) {
+      return { field: "date", error: "date format must be yyyy.mm.dd" };
+    }
+    if (isPresent(date) && !isValidDateString(date)) return { field: "date", error: "date is not a valid calendar date" };
+    if (isPresent(time) && (typeof time !== "string" || !TIME_REGEX.test(time))) {
+      return { field: "time", error: "time format must be hh:mm (e.g. 16:30)" };
+    }
+    local = { date: date ?? null, time: time ?? null };
+    if (local.date) {
+      const [year, month, day] = local.date.split(".").map(Number);
+      const [hour, minute] = local.time ? local.time.split(":").map(Number) : [0, 0];
+      start = zonedTimeToUtc(year, month, day, hour, minute, zone);
+      allDay = !local.time;
+    }
+  }
+
+  let end = null;
+  if (isPresent(endsAt)) {
+    if (start === null) return { field: "endsAt", error: "endsAt requires a start date" };
+    if (isPresent(durationMinutes)) return { field: "durationMinutes", error: "use either endsAt or durationMinutes, not both" };
+    end = parseIsoDateTime(endsAt, zone);
+    if (end === null) return { field: "endsAt", error: "endsAt must be a valid ISO 8601 date-time" };
+  } else if (isPresent(durationMinutes)) {
+    if (start === null) return { field: "durationMinutes", error: "durationMinutes requires a start date" };
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1) return { field: "durationMinutes", error: "durationMinutes must be a positive integer" };
+    end = start + durationMinutes * MINUTE_MS;
+  } else if (allDay) {
+    // Egész napos: a következő nap helyi éjfélig
+    const [year, month, day] = local.date.split(".").map(Number);
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    end = zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, zone);
+  }
+  if (end !== null && end <= start) return { field: "endsAt", error: "endsAt must be after the start" };
+
+  return {
+    schedule: {
+      date: local.date,
+      time: local.time,
+      datetime: toDatetime(local.date, local.time),
+      startsAt: start === null ? null : new Date(start),
+      endsAt: end === null ? null : new Date(end),
+      timeZone: zone,
+      allDay,
+    },
+  };
+}
+
+// Ugyanaz a helyi kezdési idő és időtartam egy másik napon (ismétlődő alkalmakhoz)
+export function scheduleOnDate(schedule, date) {
+  const duration = schedule.endsAt && !schedule.allDay ? Math.round((schedule.endsAt - schedule.startsAt) / MINUTE_MS) : undefined;
+  return buildSchedule({ date, time: schedule.time, durationMinutes: duration }, schedule.timeZone).schedule;
+}
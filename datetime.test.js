@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { buildSchedule, scheduleOnDate, isValidDateString, parseIsoDateTime, zonedTimeToUtc, localParts } from "./datetime.js";
+
+const TZ = "Europe/Budapest";
+
+describe("isValidDateString", () => {
+  it("csak létező naptári napot fogad el", () => {
+    expect(isValidDateString("2026.02.28")).toBe(true);
+    expect(isValidDateString("2028.02.29")).toBe(true);
+    expect(isValidDateString("2026.02.29")).toBe(false);
+    expect(isValidDateString("2026.02.31")).toBe(false);
+    expect(isValidDateString("2026.13.01")).toBe(false);
+    expect(isValidDateString("2026-02-01")).toBe(false);
+  });
+});
+
+describe("zonedTimeToUtc / localParts", () => {
+  it("télen +1, nyáron +2 órás eltolással számol", () => {
+    expect(new Date(zonedTimeToUtc(2026, 1, 15, 16, 30, TZ)).toISOString()).toBe("2026-01-15T15:30:00.000Z");
+    expect(new Date(zonedTimeToUtc(2026, 7, 15, 16, 30, TZ)).toISOString()).toBe("2026-07-15T14:30:00.000Z");
+  });
+
+  it("UTC időpontot helyi dátumra és időre bont", () => {
+    expect(localParts(Date.parse("2026-12-31T23:30:00Z"), TZ)).toEqual({ date: "2027.01.01", time: "00:30" });
+  });
+});
+
+describe("parseIsoDateTime", () => {
+  it("eltolással megadott időpontot változatlanul értelmez", () => {
+    expect(parseIsoDateTime("2026-04-13T16:30:00+02:00", TZ)).toBe(Date.parse("2026-04-13T14:30:00Z"));
+  });
+
+  it("eltolás nélkül az időzóna helyi idejeként értelmez", () => {
+    expect(parseIsoDateTime("2026-04-13T16:30", TZ)).toBe(Date.parse("2026-04-13T14:30:00Z"));
+  });
+
+  it("érvénytelen értékre null-t ad", () => {
+    expect(parseIsoDateTime("2026-02-31T10:00:00Z", TZ)).toBeNull();
+    expect(parseIsoDateTime("2026-04-13 16:30", TZ)).toBeNull();
+    expect(parseIsoDateTime(12345, TZ)).toBeNull();
+  });
+});
+
+describe("buildSchedule", () => {
+  it("date + time -> startsAt, a régi mezőkkel együtt", () => {
+    const { schedule } = buildSchedule({ date: "2026.04.13", time: "16:30", durationMinutes: 90 }, TZ);
+    expect(schedule).toEqual({
+      date: "2026.04.13",
+      time: "16:30",
+      datetime: "2026.04.13 16:30",
+      startsAt: new Date("2026-04-13T14:30:00Z"),
+      endsAt: new Date("2026-04-13T16:00:00Z"),
+      timeZone: TZ,
+      allDay: false,
+    });
+  });
+
+  it("startsAt-ból a megadott időzóna szerinti date / time-ot számolja", () => {
+    const { schedule } = buildSchedule(
+      { startsAt: "2026-07-01T10:00:00Z", endsAt: "2026-07-01T12:00:00Z", timeZone: "America/New_York" },
+      TZ
+    );
+    expect(schedule.date).toBe("2026.07.01");
+    expect(schedule.time).toBe("06:00");
+    expect(schedule.datetime).toBe("2026.07.01 06:00");
+    expect(schedule.timeZone).toBe("America/New_York");
+  });
+
+  it("idő nélküli dátum egész napos, a következő helyi éjfélig", () => {
+    const { schedule } = buildSchedule({ date: "2026.03.29" }, TZ);
+    expect(schedule.allDay).toBe(true);
+    expect(schedule.startsAt.toISOString()).toBe("2026-03-28T23:00:00.000Z");
+    // óraátállítás napja: csak 23 órás
+    expect(schedule.endsAt.toISOString()).toBe("2026-03-29T22:00:00.000Z");
+  });
+
+  it("időpont nélkül minden mező null", () => {
+    expect(buildSchedule({}, TZ).schedule).toMatchObject({ date: null, time: null, datetime: null, startsAt: null, endsAt: null });
+  });
+
+  it("elutasítja a hibás bemenetet", () => {
+    expect(buildSchedule({ date: "2026.02.31" }, TZ).error).toBe("date is not a valid calendar date");
+    expect(buildSchedule({ date: "2026-02-01" }, TZ).error).toBe("date format must be yyyy.mm.dd");
+    expect(buildSchedule({ date: "2026.02.01", time: "25:00" }, TZ).error).toMatch(/time format/);
+    expect(buildSchedule({ date: "2026.02.01", timeZone: "Mars/Olympus" }, TZ).error).toMatch(/timeZone/);
+    expect(buildSchedule({ startsAt: "2026-02-01T10:00", date: "2026.02.01" }, TZ).error).toMatch(/either startsAt/);
+    expect(buildSchedule({ startsAt: "2026-02-01T10:00", endsAt: "2026-02-01T09:00" }, TZ).error).toMatch(/after/);
+    expect(buildSchedule({ endsAt: "2026-02-01T09:00" }, TZ).error).toMatch(/requires a start/);
+    expect(buildSchedule({ date: "2026.02.01", time: "10:00", durationMinutes: 0 }, TZ).error).toMatch(/durationMinutes/);
+  });
+});
+
+describe("scheduleOnDate", () => {
+  it("megtartja a helyi kezdési időt és az időtartamot óraátállításon át", () => {
+    const { schedule } = buildSchedule({ date: "2026.03.20", time: "18:00", durationMinutes: 60 }, TZ);
+    const moved = scheduleOnDate(schedule, "2026.04.03");
+    expect(moved.startsAt.toISOString()).toBe("2026-04-03T16:00:00.000Z");
+    expect(moved.endsAt.toISOString()).toBe("2026-04-03T17:00:00.000Z");
+    expect(moved.datetime).toBe("2026.04.03 18:00");
+  });
+});
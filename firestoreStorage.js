@@ -0,0 +1,50 @@
+import admin from "firebase-admin";
+import fs from "node:fs";
+
+// Az app adat-rétege: a Firestore adatbázis és a hozzá tartozó FieldValue / FieldPath / Timestamp.
+// A memoryStorage.js createMemoryStorage() ugyanezt az alakot adja memóriában.
+// Az inicializált Firebase appot a hívó adja (index.js).
+export function createFirestoreStorage(firebaseApp = admin.app()) {
+  return {
+    db: firebaseApp.firestore(),
+    FieldValue: admin.firestore.FieldValue,
+    FieldPath: admin.firestore.FieldPath,
+    Timestamp: admin.firestore.Timestamp,
+  };
+}
+
+// A Firebase inicializálása a SERVICE_ACCOUNT_KEY env-ből vagy a serviceAccountKey.json-ból
+// (index.js, migrateRoles.js); { storage, auth } az app számára
+export function firebaseBackends() {
+  let serviceAccount;
+
+  try {
+    if (process.env.SERVICE_ACCOUNT_KEY) {
+      const rawKey = process.env.SERVICE_ACCOUNT_KEY.trim();
+
+      serviceAccount = JSON.parse(rawKey);
+
+      if (serviceAccount.private_key) {
+        serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
+      }
+    } else {
+      const keyPath = new URL("./serviceAccountKey.json", import.meta.url);
+      serviceAccount = JSON.parse(fs.readFileSync(keyPath, "utf8"));
+    }
+  } catch (error) {
+    console.error("KRITIKUS: Firebase kulcs hiba:", error.message);
+  }
+
+  if (!admin.apps.length && serviceAccount) {
+    try {
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+      });
+      console.log("Firebase sikeresen inicializálva!");
+    } catch (initError) {
+      console.error("Firebase init hiba:", initError.message);
+    }
+  }
+
+  return { storage: createFirestoreStorage(admin.app()), auth: admin.auth() };
+}
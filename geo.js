@@ -0,0 +1,41 @@
+// Térképes helyszínek és távolság szerinti keresés.
+// Az esemény opcionális place mezője: { address, lat, lng }; mellé a geohash-t is eltároljuk
+// (geofire-common), mert a Firestore nem tud földrajzi lekérdezést: a kör alakú környéket lefedő
+// geohash-tartományokra kérdezünk le, és a találatokat a pontos távolsággal szűrjük utólag.
+// A régi, csak szöveges location mezős eseményeknek nincs geohash-e, így a közelben keresés nem
+// találja meg őket, minden más ugyanúgy működik.
+
+import { geohashForLocation, geohashQueryBounds, distanceBetween } from "geofire-common";
+
+export const DEFAULT_RADIUS_KM = 10;
+export const MAX_RADIUS_KM = 200;
+
+// A validált place body mező -> tárolt { place, geohash }
+export function buildPlace(place) {
+  if (!place) return { place: null, geohash: null };
+  const { address = null, lat, lng } = place;
+  return { place: { address, lat, lng }, geohash: geohashForLocation([lat, lng]) };
+}
+
+// GET /events/nearby query paraméterei: lat, lng (kötelező), radiusKm
+export function parseNearbyQuery({ lat, lng, radiusKm }) {
+  const center = [Number(lat), Number(lng)];
+  if (lat === undefined || lng === undefined || center.some(Number.isNaN)) return { error: "lat and lng are required numbers" };
+  if (Math.abs(center[0]) > 90 || Math.abs(center[1]) > 180) return { error: "lat must be within ±90 and lng within ±180" };
+
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}` };
+  }
+  return { center, radiusKm: radius };
+}
+
+// A kört lefedő geohash-tartományok: [[start, end], ...] (a lekérdezés: start <= geohash <= end)
+export function geohashRanges(center, radiusKm) {
+  return geohashQueryBounds(center, radiusKm * 1000);
+}
+
+// Távolság km-ben a középpont és egy place között
+export function distanceKm(center, { lat, lng }) {
+  return distanceBetween(center, [lat, lng]);
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { buildPlace, parseNearbyQuery, geohashRanges, distanceKm } from "./geo.js";
+
+const DEAK_TER = { lat: 47.4979, lng: 19.054 };
+const PARLAMENT = [47.507, 19.0456];
+
+describe("térképes helyszín", () => {
+  it("a place mellé geohash kerül, a tartományok lefedik a közeli pontot", () => {
+    expect(buildPlace(null)).toEqual({ place: null, geohash: null });
+    const { place, geohash } = buildPlace(DEAK_TER);
+    expect(place).toEqual({ address: null, ...DEAK_TER });
+    expect(geohash).toMatch(/^u2mw1/);
+
+    const ranges = geohashRanges(PARLAMENT, 5);
+    expect(ranges.some(([start, end]) => geohash >= start && geohash <= end)).toBe(true);
+    expect(distanceKm(PARLAMENT, DEAK_TER)).toBeCloseTo(1.21, 1);
+  });
+
+  it("a query paraméterek ellenőrzése", () => {
+    expect(parseNearbyQuery({ lat: "47.5", lng: "19.05" })).toEqual({ center: [47.5, 19.05], radiusKm: 10 });
+    expect(parseNearbyQuery({ lat: "47.5", lng: "19.05", radiusKm: "2.5" }).radiusKm).toBe(2.5);
+    expect(parseNearbyQuery({ lat: "47.5" }).error).toBe("lat and lng are required numbers");
+    expect(parseNearbyQuery({ lat: "95", lng: "0" }).error).toMatch(/±90/);
+    expect(parseNearbyQuery({ lat: "0", lng: "0", radiusKm: "1000" }).error).toMatch(/radiusKm/);
+  });
+});
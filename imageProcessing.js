@@ -0,0 +1,69 @@
+// Feltöltött képek ellenőrzése és méretváltozatai.
+// A típust a fájl első bájtjaiból állapítjuk meg (a kliens által küldött Content-Type nem számít),
+// ellenőrizzük a méretet és a képpontméretet, majd sharp-pal elkészítjük a változatokat. Az EXIF
+// tájolást alkalmazzuk, a metaadatokat (EXIF, GPS, ICC) nem írjuk ki. Minden változat WebP.
+
+import sharp from "sharp";
+
+// Korlátok: IMAGE_MAX_BYTES (bájt), IMAGE_MIN_DIMENSION / IMAGE_MAX_DIMENSION (képpont, oldalhossz)
+export const DEFAULT_IMAGE_LIMITS = {
+  maxBytes: Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+  minDimension: Number(process.env.IMAGE_MIN_DIMENSION) || 50,
+  maxDimension: Number(process.env.IMAGE_MAX_DIMENSION) || 6000,
+};
+
+// thumbnail: listák, card: eseménykártyák, full: részletes oldal
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: "cover" },
+  card: { width: 640, height: 400, fit: "cover" },
+  full: { width: 1920, height: 1920, fit: "inside" },
+};
+
+const OUTPUT_TYPE = "image/webp";
+
+// Mágikus bájtok alapján: "image/jpeg" | "image/png" | "image/gif" | "image/webp", vagy null
+export function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  const head = buffer.subarray(0, 12).toString("latin1");
+  if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) return "image/gif";
+  if (head.startsWith("RIFF") && head.slice(8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+// { variants: { thumbnail, card, full: { buffer, mimeType, width, height } }, width, height }
+// vagy { status, error } (413 túl nagy, 415 nem támogatott típus, 400 hibás / rossz méretű kép)
+export async function processImage(buffer, limits = DEFAULT_IMAGE_LIMITS) {
+  if (buffer.length > limits.maxBytes) return { status: 413, error: `image must be at most ${limits.maxBytes} bytes` };
+  if (!sniffImageType(buffer)) return { status: 415, error: "image must be a JPEG, PNG, GIF or WebP file" };
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return { status: 400, error: "image could not be decoded" };
+  }
+  // 5–8-as EXIF tájolásnál a szélesség és a magasság felcserélődik
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (Math.min(width, height) < limits.minDimension || Math.max(width, height) > limits.maxDimension) {
+    return {
+      status: 400,
+      error: `image dimensions must be between ${limits.minDimension} and ${limits.maxDimension} pixels`,
+    };
+  }
+
+  const variants = {};
+  for (const [name, { width: maxWidth, height: maxHeight, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: limits.maxDimension ** 2 })
+      .rotate()
+      .resize(maxWidth, maxHeight, { fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    variants[name] = { buffer: data, mimeType: OUTPUT_TYPE, width: info.width, height: info.height };
+  }
+  return { variants, width, height };
+}
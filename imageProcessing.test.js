@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import sharp from "sharp";
+import { processImage, sniffImageType } from "./imageProcessing.js";
+
+const LIMITS = { maxBytes: 200 * 1024, minDimension: 50, maxDimension: 3000 };
+
+function solidImage(width, height, format = "jpeg") {
+  return sharp({ create: { width, height, channels: 3, background: "#3366cc" } })[format]().toBuffer();
+}
+
+describe("sniffImageType", () => {
+  it("a tartalomból ismeri fel a típust", async () => {
+    expect(sniffImageType(await solidImage(10, 10, "jpeg"))).toBe("image/jpeg");
+    expect(sniffImageType(await solidImage(10, 10, "png"))).toBe("image/png");
+    expect(sniffImageType(await solidImage(10, 10, "webp"))).toBe("image/webp");
+    expect(sniffImageType(Buffer.from("GIF89a......"))).toBe("image/gif");
+    expect(sniffImageType(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'/>"))).toBeNull();
+  });
+});
+
+describe("processImage", () => {
+  it("thumbnail, card és full WebP változatot készít, nagyítás nélkül", async () => {
+    const { variants, width, height } = await processImage(await solidImage(1200, 800), LIMITS);
+
+    expect({ width, height }).toEqual({ width: 1200, height: 800 });
+    expect(variants.thumbnail).toMatchObject({ mimeType: "image/webp", width: 200, height: 200 });
+    expect(variants.card).toMatchObject({ width: 640, height: 400 });
+    expect(variants.full).toMatchObject({ width: 1200, height: 800 });
+    expect(sniffImageType(variants.full.buffer)).toBe("image/webp");
+  });
+
+  it("alkalmazza az EXIF tájolást és eldobja a metaadatokat", async () => {
+    const input = await sharp({ create: { width: 300, height: 100, channels: 3, background: "#000" } })
+      .jpeg()
+      .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: "titkos" } } })
+      .toBuffer();
+
+    const { variants, width, height } = await processImage(input, LIMITS);
+    expect({ width, height }).toEqual({ width: 100, height: 300 });
+    const meta = await sharp(variants.full.buffer).metadata();
+    expect(meta).toMatchObject({ width: 100, height: 300 });
+    expect(meta.exif).toBeUndefined();
+    expect(meta.orientation).toBeUndefined();
+  });
+
+  it("elutasítja a nem képet, a túl nagy fájlt és a rossz méretű képet", async () => {
+    expect(await processImage(Buffer.from("nem kép, csak szöveg"), LIMITS)).toMatchObject({ status: 415 });
+    expect(await processImage(Buffer.alloc(LIMITS.maxBytes + 1), LIMITS)).toMatchObject({ status: 413 });
+    expect(await processImage(await solidImage(40, 400), LIMITS)).toMatchObject({ status: 400, error: /between 50 and 3000/ });
+    expect(await processImage(await solidImage(3001, 100, "png"), LIMITS)).toMatchObject({ status: 400 });
+    const truncated = (await solidImage(100, 100)).subarray(0, 20);
+    expect(await processImage(truncated, LIMITS)).toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,214 @@
+// Egységes képtárolás cserélhető adapterekkel (imgbb, Cloudinary, helyi lemez).
+// Minden feltöltésről rekord készül az images kollekcióban: images/{id} -> { ownerUid, provider,
+// url, variants: { thumbnail, card, full: { url, providerId, deleteUrl, width, height } }, purpose,
+// createdAt }; az url a full változaté. A kliens csak az id-t és az url-eket kapja meg; törölni az
+// id-vel lehet, a szolgáltatónál a rekordban tárolt adapter törli az összes változatot.
+//
+// Adapter: { name, upload({ buffer, mimeType, folder }) -> { url, providerId, deleteUrl? },
+//            remove({ providerId, deleteUrl }), list?(folder) -> [{ providerId, url, createdAt }],
+//            mount?: { path, dir } (statikus kiszolgálás) }
+// A list() az árva képek kereséséhez kell (reconcile); az imgbb nem tudja listázni a képeket.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import axios from "axios";
+
+export const IMAGES = "images";
+// Felhasználási cél -> mappa a szolgáltatónál
+export const IMAGE_FOLDERS = { event: "events", profile: "profile_pics" };
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif" };
+
+export function createImgbbProvider({ apiKey }) {
+  return {
+    name: "imgbb",
+    async upload({ buffer }) {
+      if (!apiKey) throw new Error("Missing IMGBB_API_KEY in .env");
+      const params = new URLSearchParams();
+      params.append("key", apiKey);
+      params.append("image", buffer.toString("base64"));
+
+      const response = await axios.post("https://api.imgbb.com/1/upload", params, {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        maxBodyLength: Infinity,
+      });
+      const data = response.data?.data;
+      if (!data?.url) throw new Error("imgbb upload failed");
+      return { url: data.url, providerId: data.id || null, deleteUrl: data.delete_url || null };
+    },
+    // Az imgbb-nek nincs törlő API-ja, csak a feltöltéskor kapott delete_url oldal
+    async remove({ deleteUrl }) {
+      if (deleteUrl) await axios.get(deleteUrl);
+    },
+  };
+}
+
+export function createCloudinaryProvider(cloudinary) {
+  return {
+    name: "cloudinary",
+    async upload({ buffer, mimeType, folder }) {
+      const result = await cloudinary.uploader.upload(`data:${mimeType};base64,${buffer.toString("base64")}`, { folder });
+      return { url: result.secure_url, providerId: result.public_id };
+    },
+    // "not found": már törölve van, ez is siker
+    async remove({ providerId }) {
+      const result = await cloudinary.uploader.destroy(providerId);
+      if (result.result !== "ok" && result.result !== "not found") throw new Error(`Cloudinary delete failed: ${result.result}`);
+    },
+    async list(folder) {
+      const assets = [];
+      let cursor;
+      do {
+        const page = await cloudinary.api.resources({ type: "upload", prefix: `${folder}/`, max_results: 500, next_cursor: cursor });
+        page.resources.forEach((r) => assets.push({ providerId: r.public_id, url: r.secure_url, createdAt: Date.parse(r.created_at) }));
+        cursor = page.next_cursor;
+      } while (cursor);
+      return assets;
+    },
+  };
+}
+
+// Fejlesztéshez: a képek a dir mappába kerülnek, az app a /uploads útvonalon szolgálja ki őket
+export function createLocalDiskProvider({ dir, baseUrl = "" }) {
+  return {
+    name: "local",
+    mount: { path: "/uploads", dir },
+    async upload({ buffer, mimeType, folder }) {
+      const providerId = `${folder}/${crypto.randomUUID()}.${EXTENSIONS[mimeType] || "bin"}`;
+      await fs.mkdir(path.join(dir, folder), { recursive: true });
+      await fs.writeFile(path.join(dir, providerId), buffer);
+      return { url: `${baseUrl}/uploads/${providerId}`, providerId };
+    },
+    async remove({ providerId }) {
+      await fs.rm(path.join(dir, providerId), { force: true });
+    },
+    async list(folder) {
+      const names = await fs.readdir(path.join(dir, folder)).catch(() => []);
+      return Promise.all(
+        names.map(async (name) => {
+          const providerId = `${folder}/${name}`;
+          const { mtimeMs } = await fs.stat(path.join(dir, providerId));
+          return { providerId, url: `${baseUrl}/uploads/${providerId}`, createdAt: mtimeMs };
+        })
+      );
+    },
+  };
+}
+
+// { thumbnail: url, card: url, full: url } – ez kerül az esemény images bejegyzéseibe
+export function variantUrls(variants) {
+  return Object.fromEntries(Object.entries(variants || {}).map(([name, { url }]) => [name, url]));
+}
+
+// Az esemény által hivatkozott képek: [{ key, id?, url? }]. A key a feltöltött kép id-je, a
+// változatok előtti (régi imgbb-s) képeknél az url. Az imageUrl általában az images[0] url-je.
+export function eventImageRefs(event) {
+  const refs = [];
+  const add = ({ id, url }) => {
+    const key = id || url;
+    if (!key || refs.some((ref) => ref.key === key || (url && ref.url === url))) return;
+    refs.push({ key, id: id || null, url: url || null });
+  };
+  (event.images || []).forEach((image) => add({ id: image.id, url: image.url }));
+  add({ url: event.imageUrl });
+  return refs;
+}
+
+// providers: név -> adapter; uploadProvider: az új feltöltések adaptere
+export function createImageService({ db, FieldValue, providers = {}, uploadProvider = null }) {
+  const collection = db.collection(IMAGES);
+
+  async function get(id) {
+    const snap = await collection.doc(id).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  }
+
+  // Törlés a szolgáltatónál (minden változat), utána a rekord törlése
+  async function remove(image) {
+    const provider = providers[image.provider];
+    if (!provider) throw new Error(`Unknown image provider: ${image.provider}`);
+    // A változatok előtti rekordoknál maga a rekord az egyetlen tárolt fájl
+    for (const stored of image.variants ? Object.values(image.variants) : [image]) await provider.remove(stored);
+    await collection.doc(image.id).delete();
+  }
+
+  return {
+    get,
+    remove,
+
+    // variants: név -> { buffer, mimeType, width, height } (imageProcessing.js processImage())
+    async upload(ownerUid, variants, purpose) {
+      const provider = providers[uploadProvider];
+      if (!provider) throw new Error("No image provider configured");
+
+      const stored = {};
+      for (const [name, { buffer, mimeType, width, height }] of Object.entries(variants)) {
+        const result = await provider.upload({ buffer, mimeType, folder: IMAGE_FOLDERS[purpose] });
+        stored[name] = { url: result.url, providerId: result.providerId ?? null, deleteUrl: result.deleteUrl ?? null, width, height };
+      }
+
+      const ref = collection.doc();
+      await ref.set({
+        ownerUid,
+        provider: provider.name,
+        url: stored.full.url,
+        variants: stored,
+        purpose,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      return { id: ref.id, url: stored.full.url, variants: variantUrls(stored) };
+    },
+
+    // Hivatkozott kép törlése ({ id?, url? }, lásd eventImageRefs) a rekordja alapján, ha az ownerUid
+    // feltöltése. Rekord nélküli (a feltöltési rekordok előtti) képet nem törlünk: nem tudjuk, kié,
+    // és a delete_url-jét is a kliens küldte. Ezek a szolgáltatónál maradnak, kézzel törölhetők.
+    async discard({ id, url }, { ownerUid }) {
+      let record = id ? await get(id) : null;
+      if (!record && url) {
+        const snap = await collection.where("url", "==", url).limit(1).get();
+        record = snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+      }
+      if (record && record.ownerUid === ownerUid) await remove(record);
+    },
+
+    // Árva képek keresése (és dryRun nélkül törlése). referenced: a hivatkozott image id-k és url-ek.
+    // Árva az a rekord, amelynek sem az id-jére, sem egyik változata url-jére nincs hivatkozás, és az a
+    // szolgáltatónál listázott fájl, amelyhez nincs rekord és nincs rá hivatkozás. A cutoff (ms)
+    // utáni feltöltéseket kihagyja.
+    async reconcile(referenced, { cutoff, dryRun }) {
+      const snap = await collection.get();
+      const knownAssets = new Set();
+      const records = [];
+      snap.docs.forEach((doc) => {
+        const record = { id: doc.id, ...doc.data() };
+        const stored = record.variants ? Object.values(record.variants) : [record];
+        stored.forEach(({ providerId }) => knownAssets.add(`${record.provider}:${providerId}`));
+        const used = referenced.has(record.id) || stored.some(({ url }) => referenced.has(url));
+        if (!used && (record.createdAt?.toMillis?.() ?? 0) <= cutoff) records.push(record);
+      });
+
+      const hosted = [];
+      for (const provider of Object.values(providers)) {
+        if (!provider.list) continue;
+        for (const folder of Object.values(IMAGE_FOLDERS)) {
+          for (const asset of await provider.list(folder)) {
+            if (knownAssets.has(`${provider.name}:${asset.providerId}`) || referenced.has(asset.url) || asset.createdAt > cutoff) continue;
+            hosted.push({ provider: provider.name, providerId: asset.providerId, url: asset.url });
+          }
+        }
+      }
+
+      const failed = [];
+      if (!dryRun) {
+        for (const record of records) {
+          await remove(record).catch((e) => failed.push({ id: record.id, error: e.message }));
+        }
+        for (const asset of hosted) {
+          await providers[asset.provider].remove(asset).catch((e) => failed.push({ ...asset, error: e.message }));
+        }
+      }
+      return { records: records.map((record) => record.id), hosted, failed };
+    },
+  };
+}
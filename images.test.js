@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from "vitest";
+import { createCloudinaryProvider, createImageService, eventImageRefs } from "./images.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+
+describe("createCloudinaryProvider", () => {
+  it("data URL-ként tölt fel a mappába, public_id-vel töröl", async () => {
+    const cloudinary = {
+      uploader: {
+        upload: vi.fn().mockResolvedValue({ secure_url: "https://res.cloudinary.com/x/a.jpg", public_id: "profile_pics/a" }),
+        destroy: vi.fn().mockResolvedValue({ result: "ok" }),
+      },
+    };
+    const provider = createCloudinaryProvider(cloudinary);
+
+    const stored = await provider.upload({ buffer: Buffer.from("abc"), mimeType: "image/jpeg", folder: "profile_pics" });
+    expect(stored).toEqual({ url: "https://res.cloudinary.com/x/a.jpg", providerId: "profile_pics/a" });
+    expect(cloudinary.uploader.upload).toHaveBeenCalledWith("data:image/jpeg;base64,YWJj", { folder: "profile_pics" });
+
+    await provider.remove({ providerId: "profile_pics/a" });
+    expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("profile_pics/a");
+  });
+
+  it("a már törölt kép nem hiba, más eredmény igen", async () => {
+    const destroy = vi.fn().mockResolvedValueOnce({ result: "not found" }).mockResolvedValueOnce({ result: "error" });
+    const provider = createCloudinaryProvider({ uploader: { destroy } });
+
+    await expect(provider.remove({ providerId: "a" })).resolves.toBeUndefined();
+    await expect(provider.remove({ providerId: "a" })).rejects.toThrow(/Cloudinary delete failed/);
+  });
+});
+
+describe("képhivatkozások", () => {
+  it("az id-s képnél az id a kulcs, a régi képeknél az url; az imageUrl nem duplikálódik", () => {
+    const refs = eventImageRefs({
+      images: [{ id: "img1", url: "https://x/full.webp" }, { url: "https://i.ibb.co/a.jpg", delete_url: "https://ibb.co/a/del" }],
+      imageUrl: "https://x/full.webp",
+    });
+    expect(refs.map((ref) => ref.key)).toEqual(["img1", "https://i.ibb.co/a.jpg"]);
+  });
+
+  it("csak a tulajdonos rekorddal rendelkező képét törli, a rekord nélküli régi képet nem", async () => {
+    const { db, FieldValue } = createMemoryStorage();
+    const imgbb = { name: "imgbb", remove: vi.fn() };
+    const cloudinary = { name: "cloudinary", remove: vi.fn() };
+    const service = createImageService({ db, FieldValue, providers: { imgbb, cloudinary } });
+    const cloudinaryUrl = "https://res.cloudinary.com/demo/image/upload/v1/profile_pics/abc.jpg";
+
+    await service.discard({ url: "https://i.ibb.co/a.jpg" }, { ownerUid: "anna" });
+    await service.discard({ url: cloudinaryUrl }, { ownerUid: "anna" });
+    expect(imgbb.remove).not.toHaveBeenCalled();
+    expect(cloudinary.remove).not.toHaveBeenCalled();
+
+    await db.collection("images").doc("x").set({ ownerUid: "bela", provider: "cloudinary", url: cloudinaryUrl, providerId: "p" });
+    await service.discard({ id: "x" }, { ownerUid: "anna" });
+    expect((await db.collection("images").doc("x").get()).exists).toBe(true);
+    await service.discard({ url: cloudinaryUrl }, { ownerUid: "bela" });
+    expect(cloudinary.remove).toHaveBeenCalledWith(expect.objectContaining({ providerId: "p" }));
+    expect((await db.collection("images").doc("x").get()).exists).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+// Élő frissítések Server-Sent Events-szel (GET /events/stream, GET /events/:id/stream).
+// Az üzenetek: { id, type, data }, type: "event.updated" | "event.deleted" | "registration.changed".
+// Az id "<példány>-<sorszám>": a kliens (EventSource) újracsatlakozáskor a Last-Event-ID fejlécben
+// visszaküldi, és a pufferben még meglévő, azóta kiküldött üzeneteket visszajátsszuk. Ha ez nem
+// lehetséges (másik szerverpéldány, újraindulás, vagy már kiesett a pufferből), egy id nélküli
+// "stream.resync" üzenet jelzi, hogy a kliens töltse újra az adatokat a REST végpontokról.
+// Az üzenetek csak a közzétevő példányon belül terjednek; több példánynál (pl. serverless) egy
+// közös csatornára épülő, ugyanilyen { publish, subscribe } felületű megvalósítás kell.
+
+import crypto from "node:crypto";
+
+export const LIVE_UPDATE_TYPES = ["event.updated", "event.deleted", "registration.changed"];
+
+export function createLiveUpdates({ bufferSize = 1000 } = {}) {
+  const instance = crypto.randomBytes(4).toString("hex");
+  const listeners = new Set();
+  const buffer = [];
+  let sequence = 0;
+
+  const sequenceOf = (id) => {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(id ?? ""));
+    return match && match[1] === instance ? Number(match[2]) : null;
+  };
+
+  return {
+    publish(type, data) {
+      sequence += 1;
+      const message = { id: `${instance}-${sequence}`, type, data };
+      buffer.push(message);
+      if (buffer.length > bufferSize) buffer.shift();
+      listeners.forEach((listener) => listener(message));
+      return message;
+    },
+
+    // -> { missed, resync, unsubscribe }. missed: a lastEventId óta kiküldött üzenetek; resync: a
+    // kimaradt üzenetek nem állíthatók vissza
+    subscribe(listener, { lastEventId = null } = {}) {
+      listeners.add(listener);
+      const unsubscribe = () => listeners.delete(listener);
+      if (!lastEventId) return { missed: [], resync: false, unsubscribe };
+
+      const last = sequenceOf(lastEventId);
+      const oldest = buffer.length > 0 ? sequenceOf(buffer[0].id) : sequence + 1;
+      if (last === null || last > sequence || last < oldest - 1) return { missed: [], resync: true, unsubscribe };
+      return { missed: buffer.filter((message) => sequenceOf(message.id) > last), resync: false, unsubscribe };
+    },
+  };
+}
+
+// Egy üzenet SSE formátumban
+export function formatSse({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
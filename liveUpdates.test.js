@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { createLiveUpdates, formatSse } from "./liveUpdates.js";
+
+describe("élő frissítések", () => {
+  it("a feliratkozók megkapják az üzeneteket, leiratkozás után nem", () => {
+    const live = createLiveUpdates();
+    const received = [];
+    const { unsubscribe } = live.subscribe((message) => received.push(message.type));
+
+    live.publish("event.updated", { eventId: "a" });
+    unsubscribe();
+    live.publish("event.deleted", { eventId: "a" });
+    expect(received).toEqual(["event.updated"]);
+  });
+
+  it("Last-Event-ID óta kimaradt üzeneteket visszajátssza, ismeretlen vagy kiesett id-nél resync", () => {
+    const live = createLiveUpdates({ bufferSize: 2 });
+    const first = live.publish("event.updated", { eventId: "a" });
+    const second = live.publish("registration.changed", { eventId: "a" });
+    live.publish("event.deleted", { eventId: "a" });
+
+    const resumed = live.subscribe(() => {}, { lastEventId: second.id });
+    expect(resumed).toMatchObject({ resync: false, missed: [{ type: "event.deleted" }] });
+    expect(live.subscribe(() => {}, { lastEventId: first.id }).resync).toBe(false);
+    expect(live.subscribe(() => {}, { lastEventId: "deadbeef-1" }).resync).toBe(true);
+
+    live.publish("event.updated", { eventId: "b" });
+    expect(live.subscribe(() => {}, { lastEventId: first.id }).resync).toBe(true);
+  });
+
+  it("SSE formátum", () => {
+    expect(formatSse({ id: "x-1", type: "event.deleted", data: { eventId: "a" } })).toBe(
+      'id: x-1\nevent: event.deleted\ndata: {"eventId":"a"}\n\n'
+    );
+    expect(formatSse({ type: "stream.resync", data: {} })).toBe("event: stream.resync\ndata: {}\n\n");
+  });
+});
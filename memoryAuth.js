@@ -0,0 +1,69 @@
+// Memóriában tartott felhasználók és tokenek a Firebase Auth helyett (tesztekhez, helyi fejlesztéshez).
+// Az app a Firebase Auth ezen metódusait használja: verifyIdToken, createUser, getUser, updateUser,
+// deleteUser, setCustomUserClaims. Tokent az issueToken(uid) ad egy már létező felhasználóhoz; a
+// custom claim-ek (a Firebase-szel ellentétben) a már kiadott tokenekben is azonnal frissülnek.
+
+import crypto from "node:crypto";
+
+function authError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export function createMemoryAuth() {
+  const users = new Map();
+  const tokens = new Map();
+
+  const getRecord = (uid) => {
+    const user = users.get(uid);
+    if (!user) throw authError("auth/user-not-found", "There is no user record corresponding to the provided identifier.");
+    return user;
+  };
+
+  return {
+    async verifyIdToken(token) {
+      const uid = tokens.get(token);
+      if (!uid || !users.has(uid)) throw authError("auth/argument-error", "Decoding Firebase ID token failed.");
+      const user = users.get(uid);
+      // A Firebase ezt csak checkRevoked-dal nézi; itt mindig, hogy a letiltás azonnal látszódjon
+      if (user.disabled) throw authError("auth/user-disabled", "The user record is disabled.");
+      return { uid, email: user.email, name: user.displayName, ...user.customClaims };
+    },
+
+    async createUser({ uid = crypto.randomUUID(), email = null, password, displayName = null, photoURL = null }) {
+      if (users.has(uid)) throw authError("auth/uid-already-exists", "The user with the provided uid already exists.");
+      if (email && [...users.values()].some((user) => user.email === email)) {
+        throw authError("auth/email-already-exists", "The email address is already in use by another account.");
+      }
+      const user = { uid, email, password, displayName, photoURL, disabled: false, customClaims: {} };
+      users.set(uid, user);
+      return { ...user };
+    },
+
+    async getUser(uid) {
+      return { ...getRecord(uid) };
+    },
+
+    async updateUser(uid, updates) {
+      const user = getRecord(uid);
+      Object.assign(user, updates);
+      return { ...user };
+    },
+
+    async setCustomUserClaims(uid, claims) {
+      getRecord(uid).customClaims = { ...claims };
+    },
+
+    async deleteUser(uid) {
+      getRecord(uid);
+      users.delete(uid);
+      for (const [token, owner] of tokens) if (owner === uid) tokens.delete(token);
+    },
+
+    issueToken(uid) {
+      getRecord(uid);
+      const token = crypto.randomBytes(16).toString("hex");
+      tokens.set(token, uid);
+      return token;
+    },
+  };
+}
@@ -0,0 +1,498 @@
+// Firestore fake: memóriában tartott dokumentum-adatbázis, amely a Firestore Admin SDK-nak csak
+// azokat a hívásait valósítja meg, amelyeket az app használ (nem általános adat-réteg):
+// collection / doc / add, where (==, !=, <, <=, >, >=, in, array-contains) / orderBy / limit /
+// startAfter(snapshot) / select / count(), get / set / create / update / delete, batch(),
+// runTransaction(), FieldValue.serverTimestamp() / delete() és FieldPath.documentId().
+// Tesztekhez és helyi fejlesztéshez (STORAGE=memory). Ha az app új Firestore hívást kezd használni,
+// azt itt is fel kell venni. Ahol az app számít rá, a Firestore viselkedését követi: a szűrt /
+// rendezett mezőt nem tartalmazó dokumentumok kimaradnak, a Date értékek Timestamp-ként olvashatók
+// vissza, a tranzakcióban minden olvasásnak az írások előtt kell lennie, egy batch legfeljebb 500
+// írást tartalmazhat.
+
+import crypto from "node:crypto";
+
+const AUTO_ID_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const MAX_BATCH_WRITES = 500;
+const INEQUALITY_OPS = ["<", "<=", ">", ">=", "!="];
+
+// ---- Timestamp / FieldValue / FieldPath ----
+
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return new Timestamp(seconds, Math.round((ms - seconds * 1000) * 1e6));
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+class Sentinel {
+  constructor(kind) {
+    this.kind = kind;
+  }
+}
+
+export const FieldValue = {
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  delete: () => new Sentinel("delete"),
+};
+
+const DOCUMENT_ID = Object.freeze({ documentId: true });
+export const FieldPath = { documentId: () => DOCUMENT_ID };
+
+function firestoreError(code, status, message) {
+  return Object.assign(new Error(`${code} ${status}: ${message}`), { code });
+}
+
+// ---- Értékek ----
+
+function isPlainObject(x) {
+  return typeof x === "object" && x !== null && !Array.isArray(x) && !(x instanceof Timestamp) && !(x instanceof Sentinel);
+}
+
+// Olvasáskor másolatot adunk ki, hogy a hívó ne módosíthassa a tárolt adatot
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneValue(v)]));
+  return value;
+}
+
+// Írandó érték -> tárolt érték: Date -> Timestamp, a serverTimestamp() feloldása
+function storedValue(value, path) {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}").`);
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Sentinel) {
+    if (value.kind === "serverTimestamp") return Timestamp.now();
+    throw new Error(`FieldValue.${value.kind}() is not allowed in field "${path}"`);
+  }
+  if (Array.isArray(value)) return value.map((item) => storedValue(item, path));
+  if (isPlainObject(value)) return storedObject(value, `${path}.`);
+  return value;
+}
+
+// Objektum tárolt alakja; a FieldValue.delete() mezők kimaradnak
+function storedObject(data, prefix = "") {
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value instanceof Sentinel && value.kind === "delete") continue;
+    result[key] = storedValue(value, prefix + key);
+  }
+  return result;
+}
+
+// update(): a megadott felső szintű mezők cseréje, a FieldValue.delete() mezők törlése
+function updateObject(existing, updates) {
+  const result = cloneValue(existing);
+  for (const [field, value] of Object.entries(updates)) {
+    if (value instanceof Sentinel && value.kind === "delete") delete result[field];
+    else result[field] = storedValue(value, field);
+  }
+  return result;
+}
+
+// A Firestore típussorrendje: null < boolean < szám < időpont < szöveg < tömb < objektum
+function typeRank(value) {
+  if (value === null) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (value instanceof Timestamp || value instanceof Date) return 3;
+  if (typeof value === "string") return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+}
+
+function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a instanceof Date) a = Timestamp.fromDate(a);
+  if (b instanceof Date) b = Timestamp.fromDate(b);
+  if (a instanceof Timestamp) return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const diff = compareValues(a[i], b[i]);
+      if (diff !== 0) return diff;
+    }
+    return a.length - b.length;
+  }
+  if (isPlainObject(a)) return compareValues(JSON.stringify(a), JSON.stringify(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// ---- Snapshotok ----
+
+class DocumentSnapshot {
+  constructor(ref, data, fields = null) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this._fields = fields;
+  }
+
+  data() {
+    if (!this.exists) return undefined;
+    if (!this._fields) return cloneValue(this._data);
+    const selected = {};
+    this._fields.forEach((field) => {
+      if (this._data[field] !== undefined) selected[field] = cloneValue(this._data[field]);
+    });
+    return selected;
+  }
+
+  get(field) {
+    return this.exists ? cloneValue(this._data[field]) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+}
+
+// ---- Referenciák és lekérdezések ----
+
+class DocumentReference {
+  constructor(store, collectionPath, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  async get() {
+    return this._store.snapshot(this);
+  }
+
+  async set(data) {
+    await this._store.batch().set(this, data).commit();
+  }
+
+  async create(data) {
+    await this._store.batch().create(this, data).commit();
+  }
+
+  async update(data) {
+    await this._store.batch().update(this, data).commit();
+  }
+
+  async delete() {
+    await this._store.batch().delete(this).commit();
+  }
+}
+
+class Query {
+  constructor(store, collectionPath, options = {}) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit ?? null;
+    this._cursor = options.cursor ?? null;
+    this._fields = options.fields ?? null;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      cursor: this._cursor,
+      fields: this._fields,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  // Az app csak dokumentum snapshottal lapoz
+  startAfter(snapshot) {
+    return this._with({ cursor: snapshot });
+  }
+
+  select(...fields) {
+    return this._with({ fields });
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: this._run().length }) }) };
+  }
+
+  async get() {
+    return new QuerySnapshot(this._run().map(([id, data]) => this._store.snapshotOf(this._collectionPath, id, data, this._fields)));
+  }
+
+  // Rendezés: a megadott mezők, ezek nélkül az egyenlőtlenségi szűrő mezője, végül a dokumentum id
+  _effectiveOrders() {
+    const orders = [...this._orders];
+    if (orders.length === 0) {
+      const inequality = this._filters.find((f) => INEQUALITY_OPS.includes(f.op));
+      if (inequality) orders.push({ field: inequality.field, direction: "asc" });
+    }
+    const lastDirection = orders.length ? orders[orders.length - 1].direction : "asc";
+    return [...orders, { field: DOCUMENT_ID, direction: lastDirection }];
+  }
+
+  _run() {
+    const orders = this._effectiveOrders();
+    const valueOf = (id, data, field) => (field === DOCUMENT_ID ? id : data[field]);
+    const compareRows = (a, b) => {
+      for (const { field, direction } of orders) {
+        const diff = compareValues(valueOf(a[0], a[1], field), valueOf(b[0], b[1], field));
+        if (diff !== 0) return direction === "desc" ? -diff : diff;
+      }
+      return 0;
+    };
+
+    let rows = [...this._store.collectionData(this._collectionPath)]
+      .filter(([id, data]) => this._filters.every((f) => matchesFilter(valueOf(id, data, f.field), f)))
+      .filter(([id, data]) => orders.every(({ field }) => valueOf(id, data, field) !== undefined))
+      .sort(compareRows);
+
+    if (this._cursor) {
+      const cursorValues = orders.map(({ field }) => (field === DOCUMENT_ID ? this._cursor.id : this._cursor.get(field)));
+      rows = rows.filter((row) => {
+        for (let i = 0; i < cursorValues.length; i++) {
+          const { field, direction } = orders[i];
+          const diff = compareValues(valueOf(row[0], row[1], field), cursorValues[i]);
+          if (diff !== 0) return direction === "desc" ? diff < 0 : diff > 0;
+        }
+        return false;
+      });
+    }
+
+    return this._limit === null ? rows : rows.slice(0, this._limit);
+  }
+}
+
+function matchesFilter(value, { op, value: expected }) {
+  if (value === undefined) return false;
+  const same = (a, b) => compareValues(a, b) === 0;
+  switch (op) {
+    case "==":
+      return same(value, expected);
+    case "!=":
+      return value !== null && !same(value, expected);
+    case "<":
+    case "<=":
+    case ">":
+    case ">=": {
+      if (typeRank(value) !== typeRank(expected)) return false;
+      const diff = compareValues(value, expected);
+      return { "<": diff < 0, "<=": diff <= 0, ">": diff > 0, ">=": diff >= 0 }[op];
+    }
+    case "in":
+      return expected.some((x) => same(value, x));
+    case "array-contains":
+      return Array.isArray(value) && value.some((x) => same(x, expected));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  doc(id) {
+    if (id === undefined) {
+      id = Array.from(crypto.randomBytes(20), (byte) => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join("");
+    }
+    return new DocumentReference(this._store, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// ---- Írások: batch és tranzakció ----
+
+// Az írásokat egy átmeneti rétegen hajtja végre; hiba esetén semmi nem kerül a tárba
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data) {
+    return this._push(ref, () => storedObject(data));
+  }
+
+  create(ref, data) {
+    return this._push(ref, (existing) => {
+      if (existing) throw firestoreError(6, "ALREADY_EXISTS", `Document already exists: ${ref.path}`);
+      return storedObject(data);
+    });
+  }
+
+  update(ref, data) {
+    return this._push(ref, (existing) => {
+      if (!existing) throw firestoreError(5, "NOT_FOUND", `No document to update: ${ref.path}`);
+      return updateObject(existing, data);
+    });
+  }
+
+  delete(ref) {
+    return this._push(ref, () => undefined);
+  }
+
+  _push(ref, apply) {
+    this._writes.push({ ref, apply });
+    return this;
+  }
+
+  async commit() {
+    this._commitSync();
+  }
+
+  _commitSync() {
+    if (this._writes.length > MAX_BATCH_WRITES) {
+      throw firestoreError(3, "INVALID_ARGUMENT", `maximum ${MAX_BATCH_WRITES} writes allowed per request`);
+    }
+    const staged = new Map();
+    for (const { ref, apply } of this._writes) {
+      const existing = staged.has(ref.path) ? staged.get(ref.path) : this._store.read(ref);
+      staged.set(ref.path, apply(existing));
+    }
+    for (const { ref } of this._writes) this._store.write(ref, staged.get(ref.path));
+    this._writes = [];
+  }
+}
+
+class Transaction {
+  constructor(store) {
+    this._store = store;
+    this._batch = new WriteBatch(store);
+  }
+
+  async get(refOrQuery) {
+    if (this._batch._writes.length > 0) {
+      throw new Error("Firestore transactions require all reads to be executed before all writes.");
+    }
+    return refOrQuery.get();
+  }
+
+  set(ref, data) {
+    this._batch.set(ref, data);
+    return this;
+  }
+
+  create(ref, data) {
+    this._batch.create(ref, data);
+    return this;
+  }
+
+  update(ref, data) {
+    this._batch.update(ref, data);
+    return this;
+  }
+
+  delete(ref) {
+    this._batch.delete(ref);
+    return this;
+  }
+}
+
+// ---- Adatbázis ----
+
+class MemoryFirestore {
+  constructor() {
+    this._collections = new Map();
+    this._lock = Promise.resolve();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // A tranzakciók egymás után futnak, így a Firestore-ral ellentétben nincs ütközés és újrapróbálás
+  runTransaction(updateFunction) {
+    const run = this._lock.then(async () => {
+      const tx = new Transaction(this);
+      const result = await updateFunction(tx);
+      tx._batch._commitSync();
+      return result;
+    });
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  collectionData(path) {
+    return this._collections.get(path) || new Map();
+  }
+
+  read(ref) {
+    return this.collectionData(ref._collectionPath).get(ref.id);
+  }
+
+  write(ref, data) {
+    if (!this._collections.has(ref._collectionPath)) this._collections.set(ref._collectionPath, new Map());
+    const docs = this._collections.get(ref._collectionPath);
+    if (data === undefined) docs.delete(ref.id);
+    else docs.set(ref.id, data);
+  }
+
+  snapshot(ref, fields = null) {
+    return new DocumentSnapshot(ref, this.read(ref), fields);
+  }
+
+  snapshotOf(collectionPath, id, data, fields = null) {
+    return new DocumentSnapshot(new DocumentReference(this, collectionPath, id), data, fields);
+  }
+}
+
+// Ugyanaz az alak, mint a firestoreStorage.js createFirestoreStorage() eredménye
+export function createMemoryStorage() {
+  return { db: new MemoryFirestore(), FieldValue, FieldPath, Timestamp };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { createMemoryStorage, Timestamp } from "./memoryStorage.js";
+
+async function seed(db) {
+  const events = db.collection("events");
+  await events.doc("a").set({ title: "A", date: "2026.05.01", tags: ["zene"], count: 1 });
+  await events.doc("b").set({ title: "B", date: "2026.04.01", tags: ["sport"], count: 2 });
+  await events.doc("c").set({ title: "C", date: "2026.06.01", tags: ["zene", "sport"], count: 3 });
+  await events.doc("d").set({ title: "D", count: 4 });
+  return events;
+}
+
+const ids = (snap) => snap.docs.map((doc) => doc.id);
+
+describe("lekérdezések", () => {
+  it("szűr, rendez és kihagyja a rendezési mezőt nem tartalmazó dokumentumokat", async () => {
+    const { db } = createMemoryStorage();
+    const events = await seed(db);
+
+    expect(ids(await events.orderBy("date").get())).toEqual(["b", "a", "c"]);
+    expect(ids(await events.where("date", ">=", "2026.05.01").get())).toEqual(["a", "c"]);
+    expect(ids(await events.where("tags", "array-contains", "zene").orderBy("date", "desc").get())).toEqual(["c", "a"]);
+    expect(ids(await events.where("count", "in", [2, 4]).get())).toEqual(["b", "d"]);
+    expect((await events.where("count", ">", 1).count().get()).data().count).toBe(3);
+  });
+
+  it("startAfter snapshottal lapoz, a select csak a kért mezőket adja", async () => {
+    const { db } = createMemoryStorage();
+    const events = await seed(db);
+    const query = events.orderBy("count", "desc");
+
+    const first = await query.limit(2).get();
+    expect(ids(first)).toEqual(["d", "c"]);
+    expect(ids(await query.startAfter(first.docs[1]).limit(2).get())).toEqual(["b", "a"]);
+    expect((await events.select("title").limit(1).get()).docs[0].data()).toEqual({ title: "A" });
+  });
+});
+
+describe("írások", () => {
+  it("a Date Timestamp-ként jön vissza, a FieldValue sentinelek feloldódnak", async () => {
+    const { db, FieldValue } = createMemoryStorage();
+    const ref = db.collection("events").doc("x");
+    await ref.set({ startsAt: new Date("2026-06-01T16:00:00Z"), count: 1, place: { lat: 47.5 } });
+    await ref.update({ count: 3, place: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() });
+
+    const data = (await ref.get()).data();
+    expect(data.startsAt).toBeInstanceOf(Timestamp);
+    expect(data.startsAt.toDate().toISOString()).toBe("2026-06-01T16:00:00.000Z");
+    expect(data.count).toBe(3);
+    expect(data).not.toHaveProperty("place");
+    expect(data.updatedAt).toBeInstanceOf(Timestamp);
+  });
+
+  it("hibás batch-ből semmi nem íródik ki; nem létező dokumentum nem módosítható", async () => {
+    const { db } = createMemoryStorage();
+    const batch = db.batch();
+    batch.set(db.collection("events").doc("x"), { title: "X" });
+    batch.update(db.collection("events").doc("missing"), { title: "Y" });
+
+    await expect(batch.commit()).rejects.toMatchObject({ code: 5 });
+    expect((await db.collection("events").doc("x").get()).exists).toBe(false);
+    await expect(db.collection("events").doc("y").set({ title: undefined })).rejects.toThrow(/undefined/);
+  });
+
+  it("tranzakcióban az írás utáni olvasás hiba, hibánál nincs írás", async () => {
+    const { db } = createMemoryStorage();
+    const ref = db.collection("events").doc("x");
+
+    await expect(
+      db.runTransaction(async (tx) => {
+        tx.set(ref, { title: "X" });
+        await tx.get(ref);
+      })
+    ).rejects.toThrow(/all reads to be executed before all writes/);
+    expect((await ref.get()).exists).toBe(false);
+  });
+});
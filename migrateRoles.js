@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { firebaseBackends } from "./firestoreStorage.js";
+import { syncRoleClaims } from "./roles.js";
+
+// A szerepkörök (custom claims) bevezetése előtti adminok átállítása: node migrateRoles.js
+// Enélkül a régi adminok (users/{uid}.isAdmin) nem érnék el az /admin végpontokat.
+const { storage, auth } = firebaseBackends();
+const migrated = await syncRoleClaims({ db: storage.db, auth });
+console.log(`Admin claim beállítva: ${migrated.length} user`, migrated);
@@ -0,0 +1,256 @@
+// E-mail értesítések: sablonok + cserélhető küldő (transport).
+// Transport: { name, send({ from, to, subject, text }) } – SMTP (nodemailer), illetve helyi
+// fejlesztéshez fájlba (.eml) vagy a konzolra író.
+// Leiratkozás: a users/{uid} dokumentum emailNotifications: false mezője; ilyenkor (és a lomtárban
+// lévő usernek) nem küldünk semmit.
+// A kérések nem küldenek levelet, csak egy feladatot tesznek a notification_outbox kollekcióba
+// (enqueueUser / enqueueRegistrants); a címzettek kikeresése és a küldés a drainOutbox()-ban
+// történik, korlátozott párhuzamossággal. Így egy sok jelentkezős esemény vagy egy lassú SMTP
+// szerver nem lassítja (és serverless környezetben nem szakítja meg) a kérést.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import nodemailer from "nodemailer";
+
+const USERS = "users";
+const REGISTRATIONS = "registrations";
+
+// Outbox feladat: { kind: "user" | "registrants", uid?, eventId?, fallback?, template, data,
+// createdAt, attempts, claimedAt? }
+export const NOTIFICATION_OUTBOX = "notification_outbox";
+// Egyszerre ennyi levél megy ki; egy lefoglalt feladatot ennyi idő után más futás újra felvehet
+const DELIVERY_CONCURRENCY = 5;
+const CLAIM_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// A sablonokhoz szükséges eseménymezők (az outboxba csak ezek kerülnek)
+const EVENT_FIELDS = ["title", "date", "time", "location"];
+
+const FOOTER = "\n\n--\nEvents4Everyone\nAz e-mail értesítéseket a profilodban kapcsolhatod ki.";
+
+function when(event) {
+  return [event.date, event.time].filter(Boolean).join(" ") || "nincs megadva";
+}
+
+function details(event) {
+  return `Időpont: ${when(event)}\nHelyszín: ${event.location || "nincs megadva"}`;
+}
+
+const CHANGE_LABELS = { date: "Dátum", time: "Időpont", location: "Helyszín" };
+
+// Sablon: data -> { subject, text }. data.event: az esemény mezői (title, date, time, location)
+export const NOTIFICATION_TEMPLATES = {
+  registrationConfirmed: ({ name, event }) => ({
+    subject: `Sikeres jelentkezés: ${event.title}`,
+    text: `Kedves ${name}!\n\nSikeresen jelentkeztél a(z) „${event.title}” eseményre.\n\n${details(event)}${FOOTER}`,
+  }),
+  registrationWaitlisted: ({ name, event, position }) => ({
+    subject: `Várólistára kerültél: ${event.title}`,
+    text:
+      `Kedves ${name}!\n\nA(z) „${event.title}” esemény betelt, ezért várólistára kerültél ` +
+      `(${position}. hely). Ha felszabadul egy hely, automatikusan bekerülsz.\n\n${details(event)}${FOOTER}`,
+  }),
+  // changes: { date?: { before, after }, time?: ..., location?: ... }
+  eventChanged: ({ name, event, changes }) => ({
+    subject: `Módosult az esemény: ${event.title}`,
+    text:
+      `Kedves ${name}!\n\nMódosult a(z) „${event.title}” esemény, amelyre jelentkeztél:\n\n` +
+      Object.entries(changes)
+        .map(([field, { before, after }]) => `${CHANGE_LABELS[field]}: ${before || "nincs megadva"} -> ${after || "nincs megadva"}`)
+        .join("\n") +
+      `\n\n${details(event)}${FOOTER}`,
+  }),
+  // kind: "24h" | "1h" (reminders.js)
+  eventReminder: ({ name, event, kind }) => {
+    const within = kind === "1h" ? "egy órán belül" : "24 órán belül";
+    return {
+      subject: `Emlékeztető: ${event.title} ${within} kezdődik`,
+      text: `Kedves ${name}!\n\nA(z) „${event.title}” esemény, amelyre jelentkeztél, ${within} kezdődik.\n\n${details(event)}${FOOTER}`,
+    };
+  },
+  eventCancelled: ({ name, event }) => ({
+    subject: `Elmarad az esemény: ${event.title}`,
+    text: `Kedves ${name}!\n\nSajnos a(z) „${event.title}” esemény, amelyre jelentkeztél, elmarad.\n\n${details(event)}${FOOTER}`,
+  }),
+};
+
+function pickEventFields(event) {
+  return Object.fromEntries(EVENT_FIELDS.map((field) => [field, event?.[field] ?? null]));
+}
+
+// fn az items minden elemére, egyszerre legfeljebb limit futással
+async function forEachLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+export function renderNotification(template, data) {
+  const render = NOTIFICATION_TEMPLATES[template];
+  if (!render) throw new Error(`Unknown notification template: ${template}`);
+  return render(data);
+}
+
+// A változott értesítendő mezők (dátum, idő, helyszín) két eseményállapot között
+export function eventChanges(before, after) {
+  const changes = {};
+  for (const field of Object.keys(CHANGE_LABELS)) {
+    const old = before[field] ?? null;
+    const next = after[field] ?? null;
+    if (old !== next) changes[field] = { before: old, after: next };
+  }
+  return changes;
+}
+
+export function createSmtpTransport({ host, port = 587, secure = port === 465, user, pass }) {
+  const transporter = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+  return {
+    name: "smtp",
+    async send({ from, to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+// Fejlesztéshez: minden levél egy .eml fájl a dir mappában (levelezőprogrammal megnyitható)
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    async send({ from, to, subject, text }) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.eml`);
+      const encodedSubject = `=?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`;
+      await fs.writeFile(
+        file,
+        `From: ${from}\r\nTo: ${to}\r\nSubject: ${encodedSubject}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${text}\r\n`
+      );
+    },
+  };
+}
+
+export function createConsoleTransport({ log = console.log } = {}) {
+  return {
+    name: "console",
+    async send({ from, to, subject, text }) {
+      log(`[mail] ${from} -> ${to}: ${subject}\n${text}`);
+    },
+  };
+}
+
+// transport nélkül minden értesítés kimarad (az outboxba sem kerül). Az értesítések best-effort
+// módon mennek: a címzettenkénti hiba csak naplózódik, a hívó { sent, skipped, failed } összesítést kap.
+export function createNotifier({ db, FieldValue, transport = null, from = "Events4Everyone <no-reply@events4everyone.hu>" }) {
+  const outbox = db.collection(NOTIFICATION_OUTBOX);
+
+  // Címzett: a users dokumentum (ha van) neve és e-mail címe, különben a fallback (pl. a jelentkezés
+  // pillanatában eltárolt userName / userEmail)
+  async function recipient(uid, fallback = {}) {
+    const snap = await db.collection(USERS).doc(uid).get();
+    const user = snap.exists ? snap.data() : {};
+    if (user.deletedAt || user.emailNotifications === false) return null;
+    const email = user.email || fallback.email;
+    return email ? { email, name: user.name || fallback.name || email.split("@")[0] } : null;
+  }
+
+  // Egy címzett értesítése; a summary megfelelő számlálóját növeli
+  async function deliver(uid, fallback, template, data, summary) {
+    try {
+      const to = await recipient(uid, fallback);
+      if (!to) {
+        summary.skipped += 1;
+        return;
+      }
+      const { subject, text } = renderNotification(template, { ...data, name: to.name });
+      await transport.send({ from, to: to.email, subject, text });
+      summary.sent += 1;
+    } catch (e) {
+      console.warn("Notification warning:", e.message);
+      summary.failed += 1;
+    }
+  }
+
+  async function notifyUser(uid, template, data, fallback) {
+    const summary = { sent: 0, skipped: 0, failed: 0 };
+    if (transport) await deliver(uid, fallback, template, data, summary);
+    return summary;
+  }
+
+  // Az esemény összes jelentkezőjének (a várólistásoknak is)
+  async function notifyRegistrants(eventId, template, data) {
+    const summary = { sent: 0, skipped: 0, failed: 0 };
+    if (!transport) return summary;
+    const regsSnap = await db.collection(REGISTRATIONS).where("eventId", "==", eventId).get();
+    await forEachLimit(regsSnap.docs, DELIVERY_CONCURRENCY, (regDoc) => {
+      const { uid, userName, userEmail } = regDoc.data();
+      return deliver(uid, { name: userName, email: userEmail }, template, data, summary);
+    });
+    return summary;
+  }
+
+  async function enqueue(job) {
+    if (!transport) return;
+    await outbox.add({
+      ...job,
+      data: { ...job.data, event: pickEventFields(job.data.event) },
+      attempts: 0,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Egy feladat lefoglalása (tranzakcióban, hogy két egyidejű drainOutbox ne küldje el kétszer)
+  async function claim(ref, now) {
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const claimedAt = snap.data().claimedAt?.toMillis?.() ?? 0;
+      if (now - claimedAt < CLAIM_TTL_MS) return null;
+      tx.update(ref, { claimedAt: new Date(now) });
+      return snap.data();
+    });
+  }
+
+  return {
+    notifyUser,
+    notifyRegistrants,
+
+    enqueueUser(uid, template, data, fallback = {}) {
+      return enqueue({ kind: "user", uid, fallback, template, data });
+    },
+
+    enqueueRegistrants(eventId, template, data) {
+      return enqueue({ kind: "registrants", eventId, template, data });
+    },
+
+    // Legfeljebb limit feladat kiküldése, a legrégebbi elöl. A kiküldött feladat törlődik; ha a
+    // feladat maga hibázik (pl. adatbázis-hiba), a következő futás újrapróbálja, MAX_ATTEMPTS-szer.
+    // -> { jobs, sent, skipped, failed }
+    async drainOutbox({ limit = 50, now = Date.now() } = {}) {
+      const summary = { jobs: 0, sent: 0, skipped: 0, failed: 0 };
+      if (!transport) return summary;
+      const snap = await outbox.orderBy("createdAt").limit(limit).get();
+      for (const doc of snap.docs) {
+        const job = await claim(doc.ref, now);
+        if (!job) continue;
+        try {
+          const result =
+            job.kind === "registrants"
+              ? await notifyRegistrants(job.eventId, job.template, job.data)
+              : await notifyUser(job.uid, job.template, job.data, job.fallback);
+          await doc.ref.delete();
+          summary.jobs += 1;
+          summary.sent += result.sent;
+          summary.skipped += result.skipped;
+          summary.failed += result.failed;
+        } catch (e) {
+          console.warn("Notification outbox warning:", e.message);
+          const attempts = (job.attempts || 0) + 1;
+          if (attempts >= MAX_ATTEMPTS) await doc.ref.delete();
+          else await doc.ref.update({ attempts, claimedAt: FieldValue.delete() });
+        }
+      }
+      return summary;
+    },
+  };
+}
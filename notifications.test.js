@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createNotifier, createFileTransport, renderNotification, eventChanges } from "./notifications.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+
+const EVENT = { title: "Koncert", date: "2026.06.01", time: "18:00", location: "Budapest" };
+
+function outbox() {
+  const sent = [];
+  return { sent, transport: { name: "test", send: async (mail) => sent.push(mail) } };
+}
+
+describe("sablonok", () => {
+  it("a változásokat és az esemény adatait kiírja", () => {
+    const changes = eventChanges(EVENT, { ...EVENT, time: "19:00", location: null });
+    expect(changes).toEqual({ time: { before: "18:00", after: "19:00" }, location: { before: "Budapest", after: null } });
+
+    const { subject, text } = renderNotification("eventChanged", { name: "Anna", event: { ...EVENT, time: "19:00" }, changes });
+    expect(subject).toBe("Módosult az esemény: Koncert");
+    expect(text).toContain("Időpont: 18:00 -> 19:00");
+    expect(text).toContain("Helyszín: Budapest -> nincs megadva");
+    expect(() => renderNotification("nincs", {})).toThrow("Unknown notification template");
+  });
+});
+
+describe("értesítő", () => {
+  it("a jelentkezőknek küld, a leiratkozottakat és a törölt usereket kihagyja", async () => {
+    const { db } = createMemoryStorage();
+    await db.collection("users").doc("anna").set({ name: "Kovács Anna", email: "anna@example.com" });
+    await db.collection("users").doc("bela").set({ name: "Béla", email: "bela@example.com", emailNotifications: false });
+    await db.collection("users").doc("cili").set({ name: "Cili", email: "cili@example.com", deletedAt: new Date() });
+    for (const uid of ["anna", "bela", "cili", "dani"]) {
+      await db.collection("registrations").doc(`${uid}_e1`).set({ uid, eventId: "e1", userName: uid, userEmail: `${uid}@old.hu` });
+    }
+    const { sent, transport } = outbox();
+    const notifier = createNotifier({ db, transport, from: "teszt@example.com" });
+
+    const summary = await notifier.notifyRegistrants("e1", "eventCancelled", { event: EVENT });
+    expect(summary).toEqual({ sent: 2, skipped: 2, failed: 0 });
+    expect(sent.map((mail) => mail.to)).toEqual(["anna@example.com", "dani@old.hu"]);
+    expect(sent[0]).toMatchObject({ from: "teszt@example.com", subject: "Elmarad az esemény: Koncert" });
+    expect(sent[0].text).toContain("Kedves Kovács Anna!");
+  });
+
+  it("transport nélkül nem küld, a küldési hibát csak számolja", async () => {
+    const { db } = createMemoryStorage();
+    await db.collection("users").doc("anna").set({ name: "Anna", email: "anna@example.com" });
+
+    expect(await createNotifier({ db }).notifyUser("anna", "registrationConfirmed", { event: EVENT })).toEqual({ sent: 0, skipped: 0, failed: 0 });
+    const failing = createNotifier({ db, transport: { send: async () => { throw new Error("SMTP down"); } } });
+    expect(await failing.notifyUser("anna", "registrationConfirmed", { event: EVENT })).toEqual({ sent: 0, skipped: 0, failed: 1 });
+  });
+
+  it("outbox: a kérés csak sorba tesz, a drainOutbox egyszer küldi ki", async () => {
+    const { db, FieldValue } = createMemoryStorage();
+    await db.collection("users").doc("anna").set({ name: "Anna", email: "anna@example.com" });
+    for (const uid of ["anna", "bela"]) await db.collection("registrations").doc(`${uid}_e1`).set({ uid, eventId: "e1", userEmail: `${uid}@example.com` });
+    const { sent, transport } = outbox();
+    const notifier = createNotifier({ db, FieldValue, transport });
+
+    await notifier.enqueueRegistrants("e1", "eventCancelled", { event: { ...EVENT, searchKeywords: ["koncert"] } });
+    await notifier.enqueueUser("anna", "registrationConfirmed", { event: EVENT });
+    expect(sent).toEqual([]);
+    const [job] = (await db.collection("notification_outbox").where("kind", "==", "registrants").get()).docs.map((doc) => doc.data());
+    expect(job).toMatchObject({ kind: "registrants", eventId: "e1", template: "eventCancelled", data: { event: EVENT }, attempts: 0 });
+
+    // Két egyidejű futás sem küldi el kétszer
+    const results = await Promise.all([notifier.drainOutbox(), notifier.drainOutbox()]);
+    expect(results.reduce((total, { sent: count }) => total + count, 0)).toBe(3);
+    expect(sent.map((mail) => mail.to).sort()).toEqual(["anna@example.com", "anna@example.com", "bela@example.com"]);
+    expect((await db.collection("notification_outbox").get()).size).toBe(0);
+
+    await createNotifier({ db, FieldValue }).enqueueUser("anna", "registrationConfirmed", { event: EVENT });
+    expect((await db.collection("notification_outbox").get()).size).toBe(0);
+  });
+
+  it("a fájl transport .eml fájlba ír", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mail-"));
+    try {
+      await createFileTransport({ dir }).send({ from: "a@example.com", to: "b@example.com", subject: "Szia", text: "Helló" });
+      const [file] = fs.readdirSync(dir);
+      expect(file).toMatch(/\.eml$/);
+      const content = fs.readFileSync(path.join(dir, file), "utf8");
+      expect(content).toContain("To: b@example.com");
+      expect(content).toContain("Helló");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,89 @@
+// Kérésszám-korlátozás (rate limiting) IP-cím vagy uid szerint, rögzített időablakkal.
+// A számlálók tárolója cserélhető: { hit(key, windowMs) -> { count, resetAt } }, ahol a count az
+// aktuális ablakban eddig beérkezett kérések száma (ezzel együtt), a resetAt az ablak vége (ms).
+// A memóriában tartott tároló egy példányon belül számol; több példánynál (pl. serverless) közös
+// tároló kell, pl. a Firestore-os.
+
+import crypto from "node:crypto";
+
+// Útvonalanként: { ip?: { windowMs, max }, uid?: { windowMs, max } }. A createApp rateLimits
+// opciójával útvonalanként felülírható; false értékkel az adott korlát kikapcsol.
+export const DEFAULT_RATE_LIMITS = {
+  usersRegister: { ip: { windowMs: 60 * 60 * 1000, max: 10 } },
+  uploadImage: { ip: { windowMs: 15 * 60 * 1000, max: 60 }, uid: { windowMs: 15 * 60 * 1000, max: 30 } },
+  uploadProfile: { ip: { windowMs: 15 * 60 * 1000, max: 20 }, uid: { windowMs: 15 * 60 * 1000, max: 10 } },
+  eventRegister: { ip: { windowMs: 60 * 1000, max: 60 }, uid: { windowMs: 60 * 1000, max: 20 } },
+  commentPost: { ip: { windowMs: 60 * 1000, max: 30 }, uid: { windowMs: 60 * 1000, max: 10 } },
+};
+
+export function createMemoryRateLimitStore({ now = Date.now } = {}) {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  return {
+    async hit(key, windowMs) {
+      const time = now();
+      // A lejárt ablakokat időnként kitakarítjuk, hogy a Map ne nőjön korlátlanul
+      if (time >= nextSweep) {
+        for (const [k, entry] of windows) if (entry.resetAt <= time) windows.delete(k);
+        nextSweep = time + 60 * 1000;
+      }
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= time) {
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+  };
+}
+
+// Közös tároló Firestore-ban: rate_limits/{kulcs hash} -> { count, resetAt, expiresAt }.
+// Az expiresAt mezőre TTL szabályt érdemes beállítani, hogy a lejárt dokumentumok törlődjenek.
+export function createFirestoreRateLimitStore(db, { collectionName = "rate_limits", now = Date.now } = {}) {
+  return {
+    async hit(key, windowMs) {
+      const ref = db.collection(collectionName).doc(crypto.createHash("sha256").update(key).digest("hex"));
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const time = now();
+        if (!snap.exists || snap.data().resetAt <= time) {
+          const resetAt = time + windowMs;
+          tx.set(ref, { count: 1, resetAt, expiresAt: new Date(resetAt) });
+          return { count: 1, resetAt };
+        }
+        const { count, resetAt } = snap.data();
+        tx.update(ref, { count: count + 1 });
+        return { count: count + 1, resetAt };
+      });
+    },
+  };
+}
+
+// Middleware: by = "ip" | "uid" (az uid-s a requireAuth után fut). Túllépésnél 429 Retry-After
+// fejléccel. Ha a tároló nem elérhető, a kérést átengedjük (fail open) – a korlátozás miatt ne
+// álljon le a szolgáltatás.
+export function rateLimit({ store, name, by, windowMs, max, now = Date.now }) {
+  return async (req, res, next) => {
+    const id = by === "uid" ? req.user?.uid : req.ip;
+    if (!id) return next();
+
+    let hit;
+    try {
+      hit = await store.hit(`${name}:${by}:${id}`, windowMs);
+    } catch (e) {
+      console.warn("Rate limit store warning:", e.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt - now()) / 1000), 0);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - hit.count, 0)));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    if (hit.count <= max) return next();
+
+    res.set("Retry-After", String(resetSeconds));
+    return res.status(429).json({ error: "Túl sok kérés, próbáld újra később", retryAfter: resetSeconds });
+  };
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { createMemoryRateLimitStore, createFirestoreRateLimitStore } from "./rateLimit.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+
+describe("rate limit tárolók", () => {
+  it("memória: az ablakon belül számol, lejárat után újrakezdi", async () => {
+    let time = 1000;
+    const store = createMemoryRateLimitStore({ now: () => time });
+
+    expect(await store.hit("a", 60000)).toEqual({ count: 1, resetAt: 61000 });
+    expect(await store.hit("a", 60000)).toEqual({ count: 2, resetAt: 61000 });
+    expect((await store.hit("b", 60000)).count).toBe(1);
+
+    time = 61000;
+    expect(await store.hit("a", 60000)).toEqual({ count: 1, resetAt: 121000 });
+  });
+
+  it("Firestore: a számláló dokumentumban, tranzakcióval nő", async () => {
+    let time = 1000;
+    const { db } = createMemoryStorage();
+    const store = createFirestoreRateLimitStore(db, { now: () => time });
+
+    await store.hit("usersRegister:ip:1.2.3.4", 60000);
+    expect(await store.hit("usersRegister:ip:1.2.3.4", 60000)).toEqual({ count: 2, resetAt: 61000 });
+    const snap = await db.collection("rate_limits").get();
+    expect(snap.size).toBe(1);
+    expect(snap.docs[0].data()).toMatchObject({ count: 2, resetAt: 61000 });
+
+    time = 70000;
+    expect(await store.hit("usersRegister:ip:1.2.3.4", 60000)).toEqual({ count: 1, resetAt: 130000 });
+  });
+});
@@ -0,0 +1,24 @@
+// Értékelések az esemény után: ratings/{registrationId} -> { eventId, uid, ownerUid, authorName,
+// rating (1-5), review, createdAt }. A dokumentum id-je a jelentkezésé ({uid}_{eventId}), így egy
+// jelentkezéssel egyszer lehet értékelni. Az esemény dokumentuma a ratingCount / ratingSum
+// számlálókat tárolja (az értékeléssel egy tranzakcióban frissül), ebből számoljuk az átlagot;
+// a szervező átlaga az élő eseményei számlálóinak összege.
+
+export const RATINGS = "ratings";
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// -> { average, count }; az átlag egy tizedesre kerekítve, értékelés nélkül null
+export function ratingSummary({ ratingSum = 0, ratingCount = 0 } = {}) {
+  return { average: ratingCount > 0 ? Math.round((ratingSum / ratingCount) * 10) / 10 : null, count: ratingCount };
+}
+
+// Több esemény számlálóinak összesítése (a szervező profiljához)
+export function combineRatings(events) {
+  return ratingSummary(
+    events.reduce(
+      (total, { ratingSum = 0, ratingCount = 0 }) => ({ ratingSum: total.ratingSum + ratingSum, ratingCount: total.ratingCount + ratingCount }),
+      { ratingSum: 0, ratingCount: 0 }
+    )
+  );
+}
@@ -0,0 +1,15 @@
+import { describe, it, expect } from "vitest";
+import { ratingSummary, combineRatings } from "./ratings.js";
+
+describe("értékelések összesítése", () => {
+  it("átlag egy tizedesre, értékelés nélkül null", () => {
+    expect(ratingSummary({ ratingSum: 14, ratingCount: 3 })).toEqual({ average: 4.7, count: 3 });
+    expect(ratingSummary({})).toEqual({ average: null, count: 0 });
+  });
+
+  it("a szervező átlaga az összes értékelésből számol, nem az események átlagából", () => {
+    const events = [{ ratingSum: 5, ratingCount: 1 }, { ratingSum: 6, ratingCount: 3 }, {}];
+    expect(combineRatings(events)).toEqual({ average: 2.8, count: 4 });
+    expect(combineRatings([])).toEqual({ average: null, count: 0 });
+  });
+});
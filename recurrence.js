@@ -0,0 +1,99 @@
+// Ismétlődő események szabályai és kibontásuk konkrét dátumokra.
+// A szabály az iCalendar RRULE egyszerűsített változata:
+//   { freq: "daily" | "weekly", interval?: 1.., byWeekday?: ["MO", "WE", ...], until?: "yyyy.mm.dd", count?: N }
+// Az until és a count közül pontosan egyet kell megadni. Az alkalmak a kezdő dátumtól (az esemény
+// date mezője) indulnak; hetinél a kezdő dátum is csak akkor alkalom, ha illeszkedik a byWeekday-re.
+
+import { isValidDateString } from "./datetime.js";
+
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+export const MAX_OCCURRENCES = 104;
+const FREQUENCIES = ["daily", "weekly"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcMs(date) {
+  const [year, month, day] = date.split(".").map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function fromUtcMs(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+}
+
+// Hétfő = 0 ... vasárnap = 6
+function weekdayIndex(ms) {
+  return (new Date(ms).getUTCDay() + 6) % 7;
+}
+
+// Dátum eltolása adott számú nappal (yyyy.mm.dd)
+export function addDays(date, days) {
+  return fromUtcMs(toUtcMs(date) + days * DAY_MS);
+}
+
+// Két dátum különbsége napokban (b - a)
+export function daysBetween(a, b) {
+  return Math.round((toUtcMs(b) - toUtcMs(a)) / DAY_MS);
+}
+
+// Bemenet ellenőrzése és normalizálása: { rule } vagy { error }
+export function parseRecurrence(input) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    return { error: "recurrence must be an object" };
+  }
+  const { freq, interval = 1, byWeekday, until, count } = input;
+
+  if (!FREQUENCIES.includes(freq)) return { error: `recurrence.freq must be one of: ${FREQUENCIES.join(", ")}` };
+  if (!Number.isInteger(interval) || interval < 1) return { error: "recurrence.interval must be a positive integer" };
+  if ((until === undefined) === (count === undefined)) return { error: "recurrence needs exactly one of until or count" };
+  if (until !== undefined && !isValidDateString(until)) return { error: "recurrence.until must be a valid yyyy.mm.dd date" };
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `recurrence.count must be an integer between 1 and ${MAX_OCCURRENCES}` };
+  }
+
+  let weekdays;
+  if (byWeekday !== undefined) {
+    if (freq !== "weekly") return { error: "recurrence.byWeekday is only allowed with weekly freq" };
+    if (!Array.isArray(byWeekday) || byWeekday.length === 0 || !byWeekday.every((d) => WEEKDAYS.includes(d))) {
+      return { error: `recurrence.byWeekday must be a non-empty list of: ${WEEKDAYS.join(", ")}` };
+    }
+    weekdays = WEEKDAYS.filter((d) => byWeekday.includes(d));
+  }
+
+  const rule = { freq, interval };
+  if (weekdays) rule.byWeekday = weekdays;
+  if (until !== undefined) rule.until = until;
+  if (count !== undefined) rule.count = count;
+  return { rule };
+}
+
+// A szabály alkalmainak dátumai (yyyy.mm.dd) a kezdő dátumtól: { dates } vagy { error }
+export function expandRecurrence(startDate, rule) {
+  const start = toUtcMs(startDate);
+  const end = rule.until ? toUtcMs(rule.until) : Infinity;
+  if (end < start) return { error: "recurrence.until must not be before the event date" };
+  // until esetén eggyel többet bontunk ki, hogy kiderüljön, túllépi-e a korlátot
+  const limit = rule.count ?? MAX_OCCURRENCES + 1;
+
+  const dates = [];
+  if (rule.freq === "daily") {
+    for (let ms = start; ms <= end && dates.length < limit; ms += rule.interval * DAY_MS) {
+      dates.push(fromUtcMs(ms));
+    }
+  } else {
+    // Hetente: a kezdő dátum hetének hétfőjétől számolt minden interval-edik héten
+    const weekdays = (rule.byWeekday || [WEEKDAYS[weekdayIndex(start)]]).map((d) => WEEKDAYS.indexOf(d));
+    const firstMonday = start - weekdayIndex(start) * DAY_MS;
+    for (let week = firstMonday; week <= end && dates.length < limit; week += rule.interval * 7 * DAY_MS) {
+      for (const weekday of weekdays) {
+        const ms = week + weekday * DAY_MS;
+        if (ms >= start && ms <= end && dates.length < limit) dates.push(fromUtcMs(ms));
+      }
+    }
+  }
+
+  if (dates.length > MAX_OCCURRENCES) return { error: `recurrence produces more than ${MAX_OCCURRENCES} occurrences` };
+  if (dates.length === 0) return { error: "recurrence produces no occurrences" };
+  return { dates };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { parseRecurrence, expandRecurrence, addDays, daysBetween, MAX_OCCURRENCES } from "./recurrence.js";
+
+describe("parseRecurrence", () => {
+  it("normalizálja az érvényes szabályt (interval alapérték, napok sorrendje)", () => {
+    expect(parseRecurrence({ freq: "weekly", byWeekday: ["TH", "TU"], count: 4 })).toEqual({
+      rule: { freq: "weekly", interval: 1, byWeekday: ["TU", "TH"], count: 4 },
+    });
+  });
+
+  it("pontosan egy until vagy count kell", () => {
+    expect(parseRecurrence({ freq: "daily" }).error).toMatch(/exactly one of until or count/);
+    expect(parseRecurrence({ freq: "daily", count: 2, until: "2026.05.01" }).error).toMatch(/exactly one/);
+  });
+
+  it("elutasítja a hibás értékeket", () => {
+    expect(parseRecurrence("weekly").error).toBe("recurrence must be an object");
+    expect(parseRecurrence({ freq: "monthly", count: 2 }).error).toMatch(/freq/);
+    expect(parseRecurrence({ freq: "weekly", interval: 0, count: 2 }).error).toMatch(/interval/);
+    expect(parseRecurrence({ freq: "weekly", byWeekday: ["XX"], count: 2 }).error).toMatch(/byWeekday/);
+    expect(parseRecurrence({ freq: "daily", byWeekday: ["MO"], count: 2 }).error).toMatch(/only allowed with weekly/);
+    expect(parseRecurrence({ freq: "daily", until: "2026-05-01" }).error).toMatch(/until/);
+    expect(parseRecurrence({ freq: "daily", until: "2026.02.30" }).error).toMatch(/until/);
+    expect(parseRecurrence({ freq: "daily", count: MAX_OCCURRENCES + 1 }).error).toMatch(/count/);
+  });
+});
+
+describe("expandRecurrence", () => {
+  it("hetente a megadott napokon, count darab alkalom", () => {
+    // 2026.04.15 szerda
+    const { dates } = expandRecurrence("2026.04.15", { freq: "weekly", interval: 1, byWeekday: ["TU", "TH"], count: 3 });
+    expect(dates).toEqual(["2026.04.16", "2026.04.21", "2026.04.23"]);
+  });
+
+  it("byWeekday nélkül a kezdő nap hét napján ismétel, until-ig bezárólag", () => {
+    const { dates } = expandRecurrence("2026.04.15", { freq: "weekly", interval: 1, until: "2026.05.06" });
+    expect(dates).toEqual(["2026.04.15", "2026.04.22", "2026.04.29", "2026.05.06"]);
+  });
+
+  it("kéthetente", () => {
+    const { dates } = expandRecurrence("2026.04.13", { freq: "weekly", interval: 2, byWeekday: ["MO"], count: 3 });
+    expect(dates).toEqual(["2026.04.13", "2026.04.27", "2026.05.11"]);
+  });
+
+  it("naponta, hónap- és évhatáron át", () => {
+    const { dates } = expandRecurrence("2026.12.30", { freq: "daily", interval: 1, count: 4 });
+    expect(dates).toEqual(["2026.12.30", "2026.12.31", "2027.01.01", "2027.01.02"]);
+  });
+
+  it("hibát ad, ha túl sok alkalom keletkezne vagy az until a kezdés előtt van", () => {
+    expect(expandRecurrence("2026.01.01", { freq: "daily", interval: 1, until: "2026.12.31" }).error).toMatch(/more than/);
+    expect(expandRecurrence("2026.05.01", { freq: "daily", interval: 1, until: "2026.04.01" }).error).toMatch(/before/);
+  });
+});
+
+describe("addDays / daysBetween", () => {
+  it("dátumokat tol el és különbséget számol", () => {
+    expect(addDays("2026.02.28", 1)).toBe("2026.03.01");
+    expect(addDays("2026.03.01", -1)).toBe("2026.02.28");
+    expect(daysBetween("2026.04.14", "2026.04.15")).toBe(1);
+    expect(daysBetween("2026.03.28", "2026.03.30")).toBe(2);
+  });
+});
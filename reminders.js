@@ -0,0 +1,59 @@
+// Emlékeztetők a közelgő eseményekről, a cron által hívott POST /internal/cron/reminders végpontról.
+// Két emlékeztető van: 24 órával és 1 órával a kezdés előtt. A cron bármilyen gyakran futhat: az
+// elküldött emlékeztetőket a reminders/{eventId}_{uid}_{kind} dokumentum jelzi, így egy jelentkező
+// ugyanazt az emlékeztetőt sosem kapja meg kétszer.
+// Ha az esemény már 1 órán belül kezdődik, a 24 órás emlékeztető helyett csak az 1 órás megy ki.
+
+export const REMINDERS = "reminders";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Szűkebbtől a tágabb felé: az esemény a legszűkebb olyan ablakba esik, amely tartalmazza a kezdését
+export const REMINDER_WINDOWS = [
+  { kind: "1h", withinMs: HOUR_MS },
+  { kind: "24h", withinMs: 24 * HOUR_MS },
+];
+
+// A now után, de legkésőbb 24 órán belül kezdődő (nem törölt) események jóváhagyott jelentkezőinek
+// kiküldi a még el nem küldött emlékeztetőt. notifier: notifications.js createNotifier().
+// -> { events, sent, skipped, failed }
+export async function sendReminders({ db, FieldValue, notifier, now = Date.now() }) {
+  const horizon = REMINDER_WINDOWS[REMINDER_WINDOWS.length - 1].withinMs;
+  const eventsSnap = await db
+    .collection("events")
+    .where("startsAt", ">", new Date(now))
+    .where("startsAt", "<=", new Date(now + horizon))
+    .get();
+  const events = eventsSnap.docs.filter((doc) => !doc.data().deletedAt);
+
+  const summary = { events: events.length, sent: 0, skipped: 0, failed: 0 };
+  for (const eventDoc of events) {
+    const event = eventDoc.data();
+    const startsIn = event.startsAt.toMillis() - now;
+    const { kind } = REMINDER_WINDOWS.find(({ withinMs }) => startsIn <= withinMs);
+
+    const regsSnap = await db.collection("registrations").where("eventId", "==", eventDoc.id).get();
+    for (const regDoc of regsSnap.docs) {
+      const { uid, userName, userEmail, status } = regDoc.data();
+      if (status === "waitlisted") continue;
+
+      // Először lefoglaljuk az emlékeztetőt (create: ha már létezik, hibát dob), és csak utána
+      // küldjük el; így két egyidejű cron-futás sem küldheti el kétszer
+      const reminderRef = db.collection(REMINDERS).doc(`${eventDoc.id}_${uid}_${kind}`);
+      try {
+        await reminderRef.create({ eventId: eventDoc.id, uid, kind, createdAt: FieldValue.serverTimestamp() });
+      } catch (e) {
+        if (e.code === 6) continue; // ALREADY_EXISTS: már kiment
+        throw e;
+      }
+
+      const result = await notifier.notifyUser(uid, "eventReminder", { event, kind }, { name: userName, email: userEmail });
+      summary.sent += result.sent;
+      summary.skipped += result.skipped;
+      summary.failed += result.failed;
+      // Sikertelen küldésnél a foglalást töröljük, hogy a következő futás újra megpróbálja
+      if (result.failed > 0) await reminderRef.delete();
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { sendReminders } from "./reminders.js";
+import { createNotifier } from "./notifications.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T10:00:00Z");
+
+async function seed() {
+  const storage = createMemoryStorage();
+  const { db } = storage;
+  const events = db.collection("events");
+  await events.doc("soon").set({ title: "Hamarosan", startsAt: new Date(NOW + 30 * 60 * 1000) });
+  await events.doc("tomorrow").set({ title: "Holnap", startsAt: new Date(NOW + 20 * HOUR) });
+  await events.doc("later").set({ title: "Később", startsAt: new Date(NOW + 30 * HOUR) });
+  await events.doc("deleted").set({ title: "Törölt", startsAt: new Date(NOW + 2 * HOUR), deletedAt: new Date(NOW) });
+  for (const eventId of ["soon", "tomorrow", "later", "deleted"]) {
+    await db.collection("registrations").doc(`anna_${eventId}`).set({ uid: "anna", eventId, status: "confirmed" });
+  }
+  await db.collection("registrations").doc("bela_soon").set({ uid: "bela", eventId: "soon", status: "waitlisted" });
+  await db.collection("users").doc("anna").set({ name: "Anna", email: "anna@example.com" });
+  await db.collection("users").doc("bela").set({ name: "Béla", email: "bela@example.com" });
+  return storage;
+}
+
+describe("emlékeztetők", () => {
+  it("a 24 órán belüli eseményekről egyszer küld, az 1 órán belülinél az 1 órás emlékeztetőt", async () => {
+    const { db, FieldValue } = await seed();
+    const sent = [];
+    const notifier = createNotifier({ db, transport: { send: async (mail) => sent.push(mail) } });
+
+    const first = await sendReminders({ db, FieldValue, notifier, now: NOW });
+    expect(first).toEqual({ events: 2, sent: 2, skipped: 0, failed: 0 });
+    expect(sent.map((mail) => mail.subject).sort()).toEqual([
+      "Emlékeztető: Hamarosan egy órán belül kezdődik",
+      "Emlékeztető: Holnap 24 órán belül kezdődik",
+    ]);
+
+    // Újrafuttatva nem küld újra; később a "Holnap" 1 órás és a "Később" 24 órás emlékeztetője megy ki
+    expect((await sendReminders({ db, FieldValue, notifier, now: NOW + HOUR })).sent).toBe(0);
+    expect((await sendReminders({ db, FieldValue, notifier, now: NOW + 19.5 * HOUR })).sent).toBe(2);
+    expect(sent.slice(2).map((mail) => mail.subject).sort()).toEqual([
+      "Emlékeztető: Holnap egy órán belül kezdődik",
+      "Emlékeztető: Később 24 órán belül kezdődik",
+    ]);
+    expect((await db.collection("reminders").get()).size).toBe(4);
+  });
+
+  it("sikertelen küldés után a következő futás újrapróbálja", async () => {
+    const { db, FieldValue } = await seed();
+    let down = true;
+    const sent = [];
+    const notifier = createNotifier({
+      db,
+      transport: { send: async (mail) => { if (down) throw new Error("SMTP down"); sent.push(mail); } },
+    });
+
+    expect((await sendReminders({ db, FieldValue, notifier, now: NOW })).failed).toBe(2);
+    down = false;
+    expect((await sendReminders({ db, FieldValue, notifier, now: NOW })).sent).toBe(2);
+    expect(sent).toHaveLength(2);
+  });
+});
@@ -0,0 +1,42 @@
+// Szerepkörök Firebase custom claim-ként: a token { roles: ["admin", "moderator", ...] } claim-je.
+// A jogosultság-ellenőrzés csak a dekódolt tokenből dolgozik, Firestore olvasás nélkül; a
+// users/{uid} dokumentum roles (és a régi kliensek miatt isAdmin) mezője csak másolat a listázáshoz.
+// A módosítás a user következő tokenfrissítésekor lép életbe (a kliens getIdToken(true)-val kérhet
+// azonnal újat).
+//   admin     – minden, a userek kezelése is
+//   moderator – bármely esemény módosítása és törlése (/admin/events/:id), userek kezelése nélkül
+//   organizer – szervező; egyelőre csak jelölés, külön jogosultsága nincs
+
+export const ROLES = ["admin", "moderator", "organizer"];
+
+// A dekódolt token (vagy custom claims objektum) ismert szerepkörei
+export function rolesOf(claims) {
+  const roles = claims?.roles;
+  return Array.isArray(roles) ? ROLES.filter((role) => roles.includes(role)) : [];
+}
+
+export function hasRole(claims, ...roles) {
+  return rolesOf(claims).some((role) => roles.includes(role));
+}
+
+// A roles claim beállítása; a többi custom claim megmarad. A rendezett, duplikáció nélküli listát adja.
+export async function setRoleClaims(auth, uid, roles) {
+  const normalized = ROLES.filter((role) => roles.includes(role));
+  const { customClaims } = await auth.getUser(uid);
+  await auth.setCustomUserClaims(uid, { ...customClaims, roles: normalized });
+  return normalized;
+}
+
+// Egyszeri migráció: a szerepkörök előtti adminok (users/{uid}.isAdmin) admin claim-et kapnak.
+// Többször is futtatható; a már szerepkörrel rendelkező usereket kihagyja. A migrált uid-ket adja.
+export async function syncRoleClaims({ db, auth }) {
+  const snap = await db.collection("users").where("isAdmin", "==", true).get();
+  const migrated = [];
+  for (const doc of snap.docs) {
+    if (Array.isArray(doc.data().roles)) continue;
+    const roles = await setRoleClaims(auth, doc.id, ["admin"]);
+    await doc.ref.update({ roles });
+    migrated.push(doc.id);
+  }
+  return migrated;
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { rolesOf, hasRole, syncRoleClaims } from "./roles.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { createMemoryAuth } from "./memoryAuth.js";
+
+describe("szerepkörök", () => {
+  it("csak az ismert szerepköröket veszi figyelembe", () => {
+    expect(rolesOf({ roles: ["organizer", "root", "admin"] })).toEqual(["admin", "organizer"]);
+    expect(rolesOf({ roles: "admin" })).toEqual([]);
+    expect(hasRole({ roles: ["moderator"] }, "admin", "moderator")).toBe(true);
+    expect(hasRole({ admin: true }, "admin")).toBe(false);
+  });
+
+  it("syncRoleClaims: a régi adminok admin claim-et kapnak, a többi claim megmarad", async () => {
+    const { db } = createMemoryStorage();
+    const auth = createMemoryAuth();
+    await auth.createUser({ uid: "anna" });
+    await auth.setCustomUserClaims("anna", { beta: true });
+    await auth.createUser({ uid: "bela" });
+    await db.collection("users").doc("anna").set({ name: "Anna", isAdmin: true });
+    await db.collection("users").doc("bela").set({ name: "Béla", isAdmin: false });
+
+    expect(await syncRoleClaims({ db, auth })).toEqual(["anna"]);
+    expect((await auth.getUser("anna")).customClaims).toEqual({ beta: true, roles: ["admin"] });
+    expect((await db.collection("users").doc("anna").get()).data().roles).toEqual(["admin"]);
+    expect(await syncRoleClaims({ db, auth })).toEqual([]);
+  });
+});
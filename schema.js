@@ -0,0 +1,287 @@
+// Deklaratív kérés-validáció az esemény és user végpontokhoz.
+// Egy séma: { fields: { mezőnév: szabály }, refine?: (value) => [{ field, message }] }.
+// Szabály: { type: "string" | "integer" | "number" | "boolean" | "array" | "object", required?, maxLength?,
+//   minLength?, format?: "url" | "email", oneOf? (megengedett értékek), trim? (alapból true), min?,
+//   max?, maxItems?, items?, fields? (beágyazott objektum), maxBytes? (szabad szerkezetű objektum
+//   JSON mérete) }.
+// A validate() mezőszintű hibalistát ad, az ismeretlen mezőket elutasítja, és normalizált
+// értéket ad vissza: a stringek trimmelve, a nem kötelező üres stringek null-ként.
+
+import { ROLES } from "./roles.js";
+import { CATEGORY_ID_REGEX, MAX_TAGS } from "./taxonomy.js";
+import { COMMENT_STATUSES } from "./serializers.js";
+import { MIN_RATING, MAX_RATING } from "./ratings.js";
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isPlainObject(x) {
+  return typeof x === "object" && x !== null && !Array.isArray(x);
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function fail(errors, path, message) {
+  errors.push({ field: path, message });
+  return undefined;
+}
+
+function checkString(rule, raw, path, errors) {
+  if (typeof raw !== "string") return fail(errors, path, `${path} must be a string`);
+  const value = rule.trim === false ? raw : raw.trim();
+  if (value.length === 0) {
+    return rule.required ? fail(errors, path, `${path} is required`) : null;
+  }
+  if (rule.minLength && value.length < rule.minLength) {
+    return fail(errors, path, `${path} must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return fail(errors, path, `${path} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.format === "url" && !isHttpUrl(value)) return fail(errors, path, `${path} must be a valid http(s) URL`);
+  if (rule.format === "email" && !EMAIL_REGEX.test(value)) return fail(errors, path, `valid ${path} is required`);
+  if (rule.oneOf && !rule.oneOf.includes(value)) return fail(errors, path, `${path} must be one of: ${rule.oneOf.join(", ")}`);
+  return value;
+}
+
+function checkValue(rule, raw, path, errors) {
+  if (raw === undefined || raw === null) {
+    return rule.required ? fail(errors, path, `${path} is required`) : raw;
+  }
+
+  switch (rule.type) {
+    case "string":
+      return checkString(rule, raw, path, errors);
+    case "integer":
+      if (!Number.isInteger(raw)) return fail(errors, path, `${path} must be an integer`);
+      if (rule.min !== undefined && raw < rule.min) return fail(errors, path, `${path} must be at least ${rule.min}`);
+      if (rule.max !== undefined && raw > rule.max) return fail(errors, path, `${path} must be at most ${rule.max}`);
+      return raw;
+    case "number":
+      if (typeof raw !== "number" || !Number.isFinite(raw)) return fail(errors, path, `${path} must be a number`);
+      if (rule.min !== undefined && raw < rule.min) return fail(errors, path, `${path} must be at least ${rule.min}`);
+      if (rule.max !== undefined && raw > rule.max) return fail(errors, path, `${path} must be at most ${rule.max}`);
+      return raw;
+    case "boolean":
+      if (typeof raw !== "boolean") return fail(errors, path, `${path} must be a boolean`);
+      return raw;
+    case "array": {
+      if (!Array.isArray(raw)) return fail(errors, path, `${path} must be an array`);
+      if (rule.maxItems !== undefined && raw.length > rule.maxItems) {
+        return fail(errors, path, `${path} must have at most ${rule.maxItems} items`);
+      }
+      return raw.map((item, i) => checkValue({ ...rule.items, required: true }, item, `${path}[${i}]`, errors));
+    }
+    case "object":
+      if (!isPlainObject(raw)) return fail(errors, path, `${path} must be an object`);
+      if (rule.fields) return checkFields(rule.fields, raw, `${path}.`, errors);
+      if (rule.maxBytes && Buffer.byteLength(JSON.stringify(raw)) > rule.maxBytes) {
+        return fail(errors, path, `${path} is too large`);
+      }
+      return raw;
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+}
+
+function checkFields(fields, raw, prefix, errors) {
+  const value = {};
+  for (const key of Object.keys(raw)) {
+    if (!Object.hasOwn(fields, key)) fail(errors, prefix + key, `${prefix + key} is not an allowed field`);
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    const checked = checkValue(rule, raw[key], prefix + key, errors);
+    if (checked !== undefined) value[key] = checked;
+  }
+  return value;
+}
+
+// { value, errors } – errors üres tömb, ha a body érvényes
+export function validate(schema, body) {
+  const errors = [];
+  if (!isPlainObject(body)) return { value: {}, errors: [{ field: "body", message: "request body must be a JSON object" }] };
+  const value = checkFields(schema.fields, body, "", errors);
+  if (errors.length === 0 && schema.refine) errors.push(...schema.refine(value));
+  return { value, errors };
+}
+
+// ---- Sémák ----
+
+// id: az images kollekció rekordja (POST /api/uploadImage válasza); a delete_url a régi imgbb-s képeké
+const imageFields = {
+  id: { type: "string", maxLength: 64 },
+  url: { type: "string", format: "url", maxLength: 2048 },
+  delete_url: { type: "string", format: "url", maxLength: 2048 },
+  // id-vel megadott képnél a szerver tölti ki a feltöltött kép rekordjából
+  variants: {
+    type: "object",
+    fields: {
+      thumbnail: { type: "string", format: "url", maxLength: 2048 },
+      card: { type: "string", format: "url", maxLength: 2048 },
+      full: { type: "string", format: "url", maxLength: 2048 },
+    },
+  },
+};
+
+// Az időpont mezők formátumát a datetime.js buildSchedule() ellenőrzi részletesen
+const eventFields = {
+  title: { type: "string", required: true, maxLength: 200 },
+  location: { type: "string", maxLength: 300 },
+  description: { type: "string", maxLength: 5000 },
+  imageUrl: { type: "string", format: "url", maxLength: 2048 },
+  imageDeleteUrl: { type: "string", format: "url", maxLength: 2048 },
+  images: { type: "array", maxItems: 10, items: { type: "object", fields: imageFields } },
+  date: { type: "string", maxLength: 10 },
+  time: { type: "string", maxLength: 5 },
+  startsAt: { type: "string", maxLength: 40 },
+  endsAt: { type: "string", maxLength: 40 },
+  durationMinutes: { type: "integer", min: 1, max: 60 * 24 * 31 },
+  timeZone: { type: "string", maxLength: 64 },
+  capacity: { type: "integer", min: 1, max: 100000 },
+  // A categories kollekció egy id-je (taxonomy.js), a létezését az app ellenőrzi
+  category: { type: "string", maxLength: 40 },
+  tags: { type: "array", maxItems: MAX_TAGS, items: { type: "string", maxLength: 40 } },
+  // Térképes helyszín (geo.js); a régi, csak szöveges location mellett / helyett
+  place: {
+    type: "object",
+    fields: {
+      address: { type: "string", maxLength: 300 },
+      lat: { type: "number", required: true, min: -90, max: 90 },
+      lng: { type: "number", required: true, min: -180, max: 180 },
+    },
+  },
+};
+
+// Minden képnél kell a feltöltött kép id-je vagy (régi képeknél) az url
+function imagesHaveSource({ images }) {
+  return (images || []).flatMap((image, i) =>
+    image.id || image.url ? [] : [{ field: `images[${i}]`, message: `images[${i}] needs an id or a url` }]
+  );
+}
+
+export const eventCreateSchema = {
+  fields: {
+    ...eventFields,
+    // A szabály részleteit a recurrence.js parseRecurrence() ellenőrzi
+    recurrence: { type: "object", maxBytes: 1024 },
+  },
+  refine: imagesHaveSource,
+};
+
+// PUT /events/:id és PUT /admin/events/:id – teljes csere, az ismétlődés utólag nem módosítható
+export const eventUpdateSchema = { fields: eventFields, refine: imagesHaveSource };
+
+export const userRegisterSchema = {
+  fields: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", required: true, format: "email", maxLength: 254 },
+    password: { type: "string", required: true, trim: false, minLength: 6, maxLength: 128 },
+  },
+};
+
+export const userUpdateSchema = {
+  fields: {
+    name: { type: "string", maxLength: 100 },
+    photoURL: { type: "string", format: "url", maxLength: 2048 },
+    // false: nem kér e-mail értesítést (notifications.js)
+    emailNotifications: { type: "boolean" },
+  },
+  refine: ({ name, photoURL, emailNotifications }) =>
+    name || photoURL || typeof emailNotifications === "boolean"
+      ? []
+      : [{ field: "body", message: "Nincs megadva módosítandó adat (név, fotó vagy értesítések)" }],
+};
+
+export const userEnsureSchema = {
+  fields: {
+    name: { type: "string", maxLength: 100 },
+  },
+};
+
+// roles: a user összes szerepköre (teljes csere); az isAdmin a régi admin felületé, csak az admin
+// szerepkört adja / veszi el
+export const adminUserUpdateSchema = {
+  fields: {
+    name: { type: "string", maxLength: 100 },
+    roles: { type: "array", maxItems: ROLES.length, items: { type: "string", oneOf: ROLES } },
+    isAdmin: { type: "boolean" },
+  },
+  refine: ({ roles, isAdmin }) =>
+    roles && typeof isAdmin === "boolean" ? [{ field: "isAdmin", message: "send either roles or isAdmin, not both" }] : [],
+};
+
+// Beléptetés: a jegy QR kódjából beolvasott token (tickets.js)
+export const checkinSchema = {
+  fields: {
+    token: { type: "string", required: true, maxLength: 1024 },
+  },
+};
+
+// Kategóriák (/admin/categories). Az id az URL-ben és az eseményeken szerepel, utólag nem módosítható;
+// ha hiányzik, a névből képezzük.
+const categoryFields = {
+  name: { type: "string", maxLength: 60 },
+  description: { type: "string", maxLength: 500 },
+  order: { type: "integer", min: 0, max: 10000 },
+};
+
+export const categoryCreateSchema = {
+  fields: {
+    id: { type: "string", maxLength: 40 },
+    ...categoryFields,
+    name: { ...categoryFields.name, required: true },
+  },
+  refine: ({ id }) =>
+    id && !CATEGORY_ID_REGEX.test(id)
+      ? [{ field: "id", message: "id may only contain lowercase letters, digits and single hyphens" }]
+      : [],
+};
+
+export const categoryUpdateSchema = {
+  fields: categoryFields,
+  refine: ({ name, description, order }) =>
+    name || description !== undefined || order !== undefined
+      ? []
+      : [{ field: "body", message: "Nincs megadva módosítandó adat (név, leírás vagy sorrend)" }],
+};
+
+// Hozzászólások (/events/:id/comments). parentId: a megválaszolt (legfelső szintű) hozzászólás
+export const commentCreateSchema = {
+  fields: {
+    text: { type: "string", required: true, maxLength: 2000 },
+    parentId: { type: "string", maxLength: 64 },
+  },
+};
+
+export const commentUpdateSchema = {
+  fields: {
+    text: { type: "string", required: true, maxLength: 2000 },
+  },
+};
+
+export const commentReportSchema = {
+  fields: {
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+// PUT /admin/comments/:id – a bejelentett hozzászólás jóváhagyása (visible) vagy elrejtése (hidden)
+export const commentModerationSchema = {
+  fields: {
+    status: { type: "string", required: true, oneOf: COMMENT_STATUSES },
+  },
+};
+
+// Értékelés az esemény után (POST /events/:id/ratings)
+export const ratingCreateSchema = {
+  fields: {
+    rating: { type: "integer", required: true, min: MIN_RATING, max: MAX_RATING },
+    review: { type: "string", maxLength: 2000 },
+  },
+};
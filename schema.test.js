@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { validate, eventCreateSchema, eventUpdateSchema, userRegisterSchema, userUpdateSchema } from "./schema.js";
+
+describe("validate", () => {
+  it("trimmeli a stringeket, az üres nem kötelező mezőből null lesz", () => {
+    const { value, errors } = validate(eventCreateSchema, { title: "  Koncert ", location: "  ", capacity: 20 });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ title: "Koncert", location: null, capacity: 20 });
+  });
+
+  it("mezőszintű hibalistát ad, az ismeretlen mezőket elutasítja", () => {
+    const { errors } = validate(eventUpdateSchema, { title: "", capacity: 0, ownerUid: "x", recurrence: {} });
+    expect(errors).toEqual([
+      { field: "ownerUid", message: "ownerUid is not an allowed field" },
+      { field: "recurrence", message: "recurrence is not an allowed field" },
+      { field: "title", message: "title is required" },
+      { field: "capacity", message: "capacity must be at least 1" },
+    ]);
+  });
+
+  it("ellenőrzi a képek tömbjének elemeit", () => {
+    const { errors } = validate(eventCreateSchema, {
+      title: "Kép",
+      images: [{ url: "https://i.ibb.co/a.jpg", delete_url: "https://ibb.co/a/del" }, { url: "javascript:alert(1)" }, { foo: 1 }],
+    });
+    expect(errors.map((e) => e.field)).toEqual(["images[1].url", "images[2].foo"]);
+    expect(validate(eventCreateSchema, { title: "Kép", images: [{ id: "img1" }, {}] }).errors).toEqual([
+      { field: "images[1]", message: "images[1] needs an id or a url" },
+    ]);
+  });
+
+  it("elutasítja a túl hosszú és túl nagy mezőket", () => {
+    const { errors } = validate(eventCreateSchema, {
+      title: "x".repeat(201),
+      images: Array.from({ length: 11 }, () => ({ url: "https://i.ibb.co/a.jpg" })),
+      recurrence: { freq: "daily", junk: "y".repeat(2000) },
+    });
+    expect(errors.map((e) => e.message)).toEqual([
+      "title must be at most 200 characters",
+      "images must have at most 10 items",
+      "recurrence is too large",
+    ]);
+  });
+
+  it("nem objektum body-t elutasít", () => {
+    expect(validate(eventCreateSchema, ["title"]).errors).toEqual([{ field: "body", message: "request body must be a JSON object" }]);
+  });
+});
+
+describe("user sémák", () => {
+  it("regisztráció: email formátum, a jelszót nem trimmeli", () => {
+    expect(validate(userRegisterSchema, { name: "Anna", email: "anna", password: "123456" }).errors[0].message).toBe(
+      "valid email is required"
+    );
+    expect(validate(userRegisterSchema, { name: "Anna", email: "a@b.hu", password: " 1234 " }).value.password).toBe(" 1234 ");
+  });
+
+  it("profil módosítás: legalább a név, a fotó vagy az értesítési beállítás kell", () => {
+    expect(validate(userUpdateSchema, { name: " " }).errors).toEqual([
+      { field: "body", message: "Nincs megadva módosítandó adat (név, fotó vagy értesítések)" },
+    ]);
+    expect(validate(userUpdateSchema, { photoURL: "https://res.cloudinary.com/x.png" }).errors).toEqual([]);
+    expect(validate(userUpdateSchema, { emailNotifications: false }).errors).toEqual([]);
+  });
+});
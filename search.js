@@ -0,0 +1,47 @@
+// Kis- és nagybetű, valamint ékezet-független keresés Firestore-ban.
+// A Firestore nem tud részszöveges keresést, ezért minden eseményhez eltároljuk a címének,
+// leírásának és helyszínének szavaiból képzett előtagokat (searchKeywords), és a lekérdezés
+// array-contains szűrővel keres bennük. A helyszín szavai "loc:" előtaggal külön is bekerülnek,
+// hogy a helyszín-szűrő ne találjon rá a leírásban szereplő városnevekre.
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 20;
+const MAX_KEYWORDS = 500;
+export const LOCATION_PREFIX = "loc:";
+
+export function normalizeText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= MIN_PREFIX);
+}
+
+function addPrefixes(keywords, word, namespace = "") {
+  const max = Math.min(word.length, MAX_PREFIX);
+  for (let i = MIN_PREFIX; i <= max; i++) keywords.add(namespace + word.slice(0, i));
+}
+
+// Az esemény indexelt keresőszavai. A cím kerül előre, hogy a MAX_KEYWORDS vágás
+// hosszú leírásnál se a címet érintse.
+export function buildSearchKeywords({ title, description, location }) {
+  const keywords = new Set();
+  tokenize(title).forEach((word) => addPrefixes(keywords, word));
+  tokenize(location).forEach((word) => {
+    addPrefixes(keywords, word);
+    addPrefixes(keywords, word, LOCATION_PREFIX);
+  });
+  tokenize(description).forEach((word) => addPrefixes(keywords, word));
+  return [...keywords].slice(0, MAX_KEYWORDS);
+}
+
+// Keresőkifejezés -> kulcsszavak, amelyek mindegyikének szerepelnie kell az esemény searchKeywords tömbjében
+export function searchTerms(query, namespace = "") {
+  const terms = tokenize(query).map((word) => namespace + word.slice(0, MAX_PREFIX));
+  return [...new Set(terms)];
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { buildSearchKeywords, searchTerms, normalizeText } from "./search.js";
+
+describe("normalizeText", () => {
+  it("kisbetűsít és eltávolítja az ékezeteket", () => {
+    expect(normalizeText("Győri TAVASZI Fesztivál")).toBe("gyori tavaszi fesztival");
+  });
+
+  it("null / undefined esetén üres stringet ad", () => {
+    expect(normalizeText(null)).toBe("");
+    expect(normalizeText(undefined)).toBe("");
+  });
+});
+
+describe("buildSearchKeywords", () => {
+  const keywords = buildSearchKeywords({
+    title: "Jazz Koncert",
+    location: "Győr, Széchenyi tér",
+    description: "Élő zene",
+  });
+
+  it("a cím, leírás és helyszín szavainak előtagjait tartalmazza", () => {
+    expect(keywords).toEqual(expect.arrayContaining(["ja", "jazz", "konc", "koncert", "elo", "zene", "gyor"]));
+  });
+
+  it("a helyszín szavai loc: előtaggal is bekerülnek, a leírásé nem", () => {
+    expect(keywords).toEqual(expect.arrayContaining(["loc:gy", "loc:gyor", "loc:szechenyi"]));
+    expect(keywords).not.toContain("loc:zene");
+  });
+
+  it("hiányzó mezőkkel sem dob hibát", () => {
+    expect(buildSearchKeywords({ title: "Futás" })).toEqual(["fu", "fut", "futa", "futas"]);
+  });
+
+  it("a kulcsszavak száma korlátozott", () => {
+    const description = Array.from({ length: 400 }, (_, i) => `szo${i}abcdefgh`).join(" ");
+    expect(buildSearchKeywords({ title: "Teszt", description }).length).toBe(500);
+  });
+});
+
+describe("searchTerms", () => {
+  it("normalizált, egyedi keresőszavakat ad", () => {
+    expect(searchTerms("GYŐR  jazz győr")).toEqual(["gyor", "jazz"]);
+  });
+
+  it("az egy karakteres szavakat kihagyja", () => {
+    expect(searchTerms("a b jazz")).toEqual(["jazz"]);
+  });
+
+  it("névtér előtagot tesz a szavak elé", () => {
+    expect(searchTerms("Budapest", "loc:")).toEqual(["loc:budapest"]);
+  });
+
+  it("a hosszú szavakat az indexelt előtag hosszára vágja", () => {
+    expect(searchTerms("a".repeat(30))).toEqual(["a".repeat(20)]);
+  });
+});
@@ -0,0 +1,144 @@
+// Mezőszintű láthatóság: ki mit láthat az events, registrations, users, comments és ratings
+// adatokból.
+// Minden kiadott mezőnek szerepelnie kell egy nézetben (view) – ami nincs benne, az sosem kerül
+// ki a kliensnek. A nézet mezője: a legalacsonyabb közönség, amely láthatja, vagy
+// { audience, value(data) } a számított mezőkhöz.
+//
+// Közönségek, növekvő jogosultsággal:
+//   public – bejelentkezés nélkül
+//   member – bejelentkezett felhasználó
+//   owner  – az esemény szervezője / a profil tulajdonosa
+//   admin  – adminisztrátor (mindent lát, amit az owner)
+
+import { ratingSummary } from "./ratings.js";
+
+export const AUDIENCES = ["public", "member", "owner", "admin"];
+
+function rank(audience) {
+  const index = AUDIENCES.indexOf(audience);
+  if (index === -1) throw new Error(`Unknown audience: ${audience}`);
+  return index;
+}
+
+// Firestore Timestamp -> ISO 8601 string
+function toIso(value) {
+  return value?.toDate ? value.toDate().toISOString() : value ?? null;
+}
+
+// Keresztnév: a magyar névsorrend szerint a név utolsó tagja ("Kovács Anna" -> "Anna")
+export function givenName(fullName) {
+  const parts = String(fullName ?? "").trim().split(/\s+/).filter(Boolean);
+  return parts.length > 0 ? parts[parts.length - 1] : null;
+}
+
+// Események: a belső mezők (searchKeywords, imageKeys, geohash, ratingSum / ratingCount) nem
+// kerülnek ki, az értékelésekből csak az összesítés. A delete_url-eket (imageDeleteUrl,
+// images[].delete_url) senkinek nem adjuk ki: aki ismeri, törölheti a képet a tárhelyről.
+export const eventView = {
+  id: "public",
+  title: "public",
+  location: "public",
+  description: "public",
+  imageUrl: "public",
+  images: { audience: "public", value: (event) => event.images?.map(({ delete_url, ...image }) => image) },
+  date: "public",
+  time: "public",
+  datetime: "public",
+  startsAt: { audience: "public", value: (event) => toIso(event.startsAt) },
+  endsAt: { audience: "public", value: (event) => toIso(event.endsAt) },
+  timeZone: "public",
+  allDay: "public",
+  capacity: "public",
+  category: "public",
+  tags: "public",
+  place: "public",
+  seriesId: "public",
+  occurrenceIndex: "public",
+  recurrence: "public",
+  registrationCount: "public",
+  waitlistCount: "public",
+  rating: { audience: "public", value: (event) => ratingSummary(event) },
+  ownerUid: "public",
+  ownerName: "public",
+  ownerEmail: "owner",
+  createdAt: "public",
+  updatedAt: "public",
+  adminLastEdit: "admin",
+};
+
+export const registrationView = {
+  id: "owner",
+  uid: "owner",
+  eventId: "owner",
+  eventTitle: "owner",
+  userName: "owner",
+  userEmail: "owner",
+  firstName: { audience: "member", value: (reg) => givenName(reg.userName) },
+  status: "member",
+  registeredAt: { audience: "owner", value: (reg) => toIso(reg.registeredAt) },
+  checkedInAt: { audience: "owner", value: (reg) => toIso(reg.checkedInAt) },
+};
+
+export const userView = {
+  id: "public",
+  name: "public",
+  photoURL: "public",
+  email: "owner",
+  isAdmin: "owner",
+  roles: "owner",
+  emailNotifications: { audience: "owner", value: (user) => user.emailNotifications !== false },
+  createdAt: { audience: "owner", value: (user) => toIso(user.createdAt) },
+  updatedAt: { audience: "owner", value: (user) => toIso(user.updatedAt) },
+};
+
+// Hozzászólások: a moderálási adatokat csak az admin / moderátor látja
+export const COMMENT_STATUSES = ["visible", "hidden"];
+
+export const commentView = {
+  id: "public",
+  eventId: "public",
+  parentId: "public",
+  uid: "public",
+  authorName: "public",
+  text: "public",
+  createdAt: { audience: "public", value: (comment) => toIso(comment.createdAt) },
+  editedAt: { audience: "public", value: (comment) => toIso(comment.editedAt) },
+  status: "admin",
+  reportCount: "admin",
+  flagged: "admin",
+  lastReportedAt: { audience: "admin", value: (comment) => toIso(comment.lastReportedAt) },
+};
+
+// Értékelések: nyilvánosak; a belső ownerUid mező nem kerül ki
+export const ratingView = {
+  id: "public",
+  eventId: "public",
+  uid: "public",
+  authorName: "public",
+  rating: "public",
+  review: "public",
+  createdAt: { audience: "public", value: (rating) => toIso(rating.createdAt) },
+};
+
+// A nézetből az audience számára látható mezők (a hiányzó értékek nélkül)
+export function serialize(view, data, audience) {
+  const level = rank(audience);
+  const result = {};
+  for (const [field, rule] of Object.entries(view)) {
+    const { audience: minimum, value } = typeof rule === "string" ? { audience: rule } : rule;
+    if (rank(minimum) > level) continue;
+    const fieldValue = value ? value(data) : data[field];
+    if (fieldValue !== undefined) result[field] = fieldValue;
+  }
+  return result;
+}
+
+// Lát-e az audience bármit a nézetből (ha nem, a listát sem adjuk ki, csak a darabszámot)
+export function canView(view, audience) {
+  return Object.values(view).some((rule) => rank(typeof rule === "string" ? rule : rule.audience) <= rank(audience));
+}
+
+// Firestore dokumentum -> { id, ...mezők } a nézet szerint
+export function serializeDoc(view, doc, audience) {
+  return serialize(view, { id: doc.id, ...doc.data() }, audience);
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { serialize, canView, givenName, eventView, userView } from "./serializers.js";
+
+describe("serialize", () => {
+  const view = { id: "public", email: "owner", initial: { audience: "member", value: (data) => data.name[0] } };
+
+  it("csak a közönség szintjén látható mezőket adja, a nézeten kívüli mezőket soha", () => {
+    const data = { id: "u1", name: "Anna", email: "anna@example.com", secret: "x" };
+    expect(serialize(view, data, "public")).toEqual({ id: "u1" });
+    expect(serialize(view, data, "member")).toEqual({ id: "u1", initial: "A" });
+    expect(serialize(view, data, "admin")).toEqual({ id: "u1", email: "anna@example.com", initial: "A" });
+    expect(() => serialize(view, data, "guest")).toThrow(/Unknown audience/);
+  });
+
+  it("canView: van-e látható mező", () => {
+    expect(canView({ email: "owner" }, "member")).toBe(false);
+    expect(canView(userView, "public")).toBe(true);
+  });
+
+  it("esemény: belső mezők és delete_url-ek nélkül, az értékelésekből az összesítés", () => {
+    const event = {
+      id: "e1",
+      title: "Koncert",
+      images: [{ url: "https://i.ibb.co/a.jpg", delete_url: "https://ibb.co/a/del" }],
+      imageDeleteUrl: "https://ibb.co/a/del",
+      searchKeywords: ["koncert"],
+      ratingSum: 9,
+      ratingCount: 2,
+      ownerEmail: "anna@example.com",
+    };
+    const expected = { id: "e1", title: "Koncert", images: [{ url: "https://i.ibb.co/a.jpg" }], rating: { average: 4.5, count: 2 } };
+    expect(serialize(eventView, event, "public")).toEqual({ ...expected, startsAt: null, endsAt: null });
+    expect(serialize(eventView, event, "owner")).toEqual({ ...expected, startsAt: null, endsAt: null, ownerEmail: "anna@example.com" });
+  });
+
+  it("keresztnév magyar névsorrendben", () => {
+    expect(givenName(" Kovács  Anna ")).toBe("Anna");
+    expect(givenName("anna")).toBe("anna");
+    expect(givenName("")).toBeNull();
+  });
+});
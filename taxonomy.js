@@ -0,0 +1,57 @@
+// Események csoportosítása: kategóriák és címkék.
+// A kategóriák kezelt listája az adminoké: categories/{id} -> { name, description, order, createdAt,
+// updatedAt }, az id URL-barát azonosító (pl. "sport"). Egy eseménynek legfeljebb egy kategóriája
+// van (category: id), és tetszőleges címkéi (tags), amelyeket a szervező ad meg szabadon.
+// A címkéket kisbetűsítve, egyszeres szóközökkel és duplikáció nélkül tároljuk, így a "Jazz" és a
+// "jazz " ugyanaz a címke.
+
+import { normalizeText } from "./search.js";
+
+export const CATEGORIES = "categories";
+export const CATEGORY_ID_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const MAX_TAGS = 10;
+// A facetek között ennyi, a leggyakoribb címke szerepel
+export const MAX_FACET_TAGS = 50;
+
+// Név -> kategória id ("Zene és tánc" -> "zene-es-tanc")
+export function slugify(text) {
+  return normalizeText(text)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+}
+
+export function normalizeTag(tag) {
+  return String(tag ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+// A tag query paraméter: egy címke, vesszővel elválasztott lista, vagy ismételt paraméter
+export function parseTagFilter(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return normalizeTags(values.flatMap((item) => String(item).split(",")));
+}
+
+// Darabszámok kategóriánként és címkénként az események (nyers adat) alapján.
+// categories: [{ id, name, ... }] a megjelenítési sorrendben; a 0 darabos kategória is szerepel.
+export function countFacets(events, categories) {
+  const byCategory = new Map(categories.map((category) => [category.id, 0]));
+  const byTag = new Map();
+  for (const event of events) {
+    if (byCategory.has(event.category)) byCategory.set(event.category, byCategory.get(event.category) + 1);
+    for (const tag of event.tags || []) byTag.set(tag, (byTag.get(tag) || 0) + 1);
+  }
+  return {
+    total: events.length,
+    categories: categories.map(({ id, name }) => ({ id, name, count: byCategory.get(id) })),
+    tags: [...byTag]
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b, "hu"))
+      .slice(0, MAX_FACET_TAGS)
+      .map(([tag, count]) => ({ tag, count })),
+  };
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { slugify, normalizeTags, parseTagFilter, countFacets } from "./taxonomy.js";
+
+describe("kategóriák és címkék", () => {
+  it("a névből URL-barát id lesz, a címkék normalizálódnak", () => {
+    expect(slugify("Zene és tánc")).toBe("zene-es-tanc");
+    expect(slugify("  Sport!  ")).toBe("sport");
+    expect(normalizeTags([" Jazz ", "jazz", "Élő  zene", ""])).toEqual(["jazz", "élő zene"]);
+    expect(parseTagFilter("jazz,Blues")).toEqual(["jazz", "blues"]);
+    expect(parseTagFilter(["jazz", "rock,jazz"])).toEqual(["jazz", "rock"]);
+    expect(parseTagFilter(undefined)).toEqual([]);
+  });
+
+  it("facetek: minden kategória szerepel, a címkék gyakoriság szerint", () => {
+    const events = [
+      { category: "zene", tags: ["jazz", "élő"] },
+      { category: "zene", tags: ["jazz"] },
+      { category: "sport", tags: [] },
+      { tags: ["ingyenes"] },
+    ];
+    const categories = [{ id: "sport", name: "Sport" }, { id: "zene", name: "Zene" }, { id: "film", name: "Film" }];
+
+    expect(countFacets(events, categories)).toEqual({
+      total: 4,
+      categories: [
+        { id: "sport", name: "Sport", count: 1 },
+        { id: "zene", name: "Zene", count: 2 },
+        { id: "film", name: "Film", count: 0 },
+      ],
+      tags: [
+        { tag: "jazz", count: 2 },
+        { tag: "élő", count: 1 },
+        { tag: "ingyenes", count: 1 },
+      ],
+    });
+  });
+});
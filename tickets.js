@@ -0,0 +1,38 @@
+// Aláírt belépőjegyek a jelentkezésekhez. A jegy tokenje: base64url(JSON { r, e }) + "." +
+// base64url(HMAC-SHA256 aláírás), ahol r a registrations dokumentum id-je ({uid}_{eventId}), e az
+// esemény id-je. A token a titok (TICKET_SECRET) nélkül nem hamisítható, és mindig ugyanaz egy
+// jelentkezéshez, így nem kell eltárolni; a QR kód magát a tokent tartalmazza.
+
+import crypto from "node:crypto";
+import QRCode from "qrcode";
+
+function signature(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+export function signTicket(secret, { registrationId, eventId }) {
+  const payload = Buffer.from(JSON.stringify({ r: registrationId, e: eventId })).toString("base64url");
+  return `${payload}.${signature(secret, payload)}`;
+}
+
+// -> { registrationId, eventId }, vagy null, ha a token hibás vagy az aláírás nem egyezik
+export function verifyTicket(secret, token) {
+  if (typeof token !== "string") return null;
+  const [payload, sig, ...rest] = token.split(".");
+  if (!payload || !sig || rest.length > 0) return null;
+
+  const expected = Buffer.from(signature(secret, payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const { r, e } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return typeof r === "string" && typeof e === "string" ? { registrationId: r, eventId: e } : null;
+  } catch {
+    return null;
+  }
+}
+
+// A token QR kódja PNG-ként
+export function ticketQrPng(token, { width = 320 } = {}) {
+  return QRCode.toBuffer(token, { type: "png", width, margin: 2, errorCorrectionLevel: "M" });
+}
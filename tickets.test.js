@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { signTicket, verifyTicket, ticketQrPng } from "./tickets.js";
+
+describe("jegyek", () => {
+  it("az aláírt token visszaellenőrizhető, a módosított vagy más kulccsal aláírt nem", () => {
+    const token = signTicket("titok", { registrationId: "bela_e1", eventId: "e1" });
+    expect(verifyTicket("titok", token)).toEqual({ registrationId: "bela_e1", eventId: "e1" });
+    expect(signTicket("titok", { registrationId: "bela_e1", eventId: "e1" })).toBe(token);
+
+    const [, sig] = token.split(".");
+    const forged = `${Buffer.from(JSON.stringify({ r: "bela_e2", e: "e2" })).toString("base64url")}.${sig}`;
+    expect(verifyTicket("titok", forged)).toBeNull();
+    expect(verifyTicket("másik", token)).toBeNull();
+    expect(verifyTicket("titok", "nem-token")).toBeNull();
+    expect(verifyTicket("titok", `${token}.x`)).toBeNull();
+  });
+
+  it("a QR kód PNG kép", async () => {
+    const png = await ticketQrPng(signTicket("titok", { registrationId: "bela_e1", eventId: "e1" }));
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  });
+});